@@ -0,0 +1,98 @@
+// adaptation.js
+// What a device does once its drift detector fires: collect post-drift
+// benign samples, then (per policy) re-baseline the anomaly scorer, retrain
+// the local model and ask to take part in the next FL round.
+const { trainDevice } = require("./model");
+const { BASELINE_FEATURES, createProfile, addSample } = require("./profile");
+
+const ADAPTATION_DEFAULTS = {
+  rebaseline: true,  // reset baseline + profile from post-drift benign data
+  retrain: true,     // refit localW on the device window
+  requestFl: true,   // flag the device for the next FL round
+  minSamples: 30     // post-drift benign samples collected before adapting
+};
+
+// { feature: { mean, std } }; means/stds are { feature: number }
+function createBaseline(means, stds = {}) {
+  const baseline = {};
+  for (const f of BASELINE_FEATURES) {
+    baseline[f] = { mean: means[f], std: stds[f] ?? 1 };
+  }
+  return baseline;
+}
+
+function median(values) {
+  const s = values.slice().sort((a, b) => a - b);
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+// median and MAD-based std, so a few unlabelled attacks in the post-drift
+// sample do not drag the baseline
+function baselineFrom(samples) {
+  const means = {};
+  const stds = {};
+  for (const f of BASELINE_FEATURES) {
+    const xs = samples.map((s) => Number(s[f]) || 0);
+    const med = median(xs);
+    means[f] = med;
+    stds[f] = Math.max(1.4826 * median(xs.map((x) => Math.abs(x - med))), 1e-3);
+  }
+  return createBaseline(means, stds);
+}
+
+// drift confirmed: (re)start collecting post-drift samples
+function startAdaptation(device, ts) {
+  device.adaptation = { since: ts, samples: [] };
+}
+
+// Feed one scored event. Returns the actions taken on this sample:
+// [{ action: "rebaseline" | "retrain" | "request_fl", detail }]
+function observeAdaptation(device, event, policy = ADAPTATION_DEFAULTS) {
+  const pending = device.adaptation;
+  if (!pending) return [];
+
+  // labelled attacks never enter the baseline; unlabelled samples do
+  if (event.trueLabel !== "Attack") pending.samples.push(event.features);
+  if (pending.samples.length < policy.minSamples) return [];
+
+  device.adaptation = null;
+  const actions = [];
+
+  if (policy.rebaseline) {
+    device.baseline = baselineFrom(pending.samples);
+    if (device.profile) {
+      // the learned profile restarts from the post-drift samples
+      device.profile = createProfile(device.profile.warmup);
+      pending.samples.forEach((s) => addSample(device.profile, s));
+    }
+    const means = {};
+    for (const f of BASELINE_FEATURES) means[f] = Number(device.baseline[f].mean.toFixed(2));
+    actions.push({ action: "rebaseline", detail: { samples: pending.samples.length, means } });
+  }
+
+  if (policy.retrain) {
+    const fit = trainDevice(device);
+    actions.push({
+      action: "retrain",
+      detail: fit
+        ? { trainSize: fit.trainSize, accuracy: fit.accuracy }
+        : { skipped: "not enough labelled samples" }
+    });
+  }
+
+  if (policy.requestFl) {
+    device.flRequested = true;
+    actions.push({ action: "request_fl", detail: { since: pending.since } });
+  }
+
+  return actions;
+}
+
+module.exports = {
+  ADAPTATION_DEFAULTS,
+  createBaseline,
+  baselineFrom,
+  startAdaptation,
+  observeAdaptation
+};
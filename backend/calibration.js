@@ -0,0 +1,108 @@
+// calibration.js
+// Per-device alert thresholds calibrated to a target false-positive rate:
+// the threshold is the (1 - targetFpr) quantile of the device's recent
+// benign scores, refreshed periodically and after drift.
+
+const DEFAULT_THRESHOLD = 0.55;
+
+const CALIBRATION_DEFAULTS = {
+  enabled: false,
+  targetFpr: 0.01,        // wanted share of benign samples flagged
+  minSamples: 100,        // benign scores needed to calibrate
+  recalibrateEvery: 200,  // benign samples between periodic calibrations
+  afterDrift: true,       // recalibrate from post-drift scores once drift fires
+  historySize: 500        // recent benign scores kept per device
+};
+
+function createCalibration() {
+  return {
+    threshold: DEFAULT_THRESHOLD,
+    calibratedAt: null,
+    reason: null,          // initial | periodic | drift | manual
+    benignScores: [],
+    sinceCalibration: 0,
+    awaitingDrift: false,  // drift fired; waiting for post-drift scores
+    benignSeen: 0,         // labelled benign samples since calibration
+    benignFlagged: 0       // ... of which were flagged
+  };
+}
+
+// threshold to score against: calibrated when calibration is on and has
+// run at least once, the fixed default otherwise
+function currentThreshold(cal, cfg, fallback = DEFAULT_THRESHOLD) {
+  return cfg.enabled && cal.calibratedAt ? cal.threshold : fallback;
+}
+
+// k-th largest score so that at most targetFpr of the sample lies above
+function quantileThreshold(scores, targetFpr) {
+  const sorted = scores.slice().sort((a, b) => b - a);
+  const k = Math.floor(sorted.length * targetFpr);
+  return sorted[Math.min(k, sorted.length - 1)];
+}
+
+// Returns false when there are not enough benign scores yet.
+function calibrate(cal, cfg, ts, reason) {
+  if (cal.benignScores.length < cfg.minSamples) return false;
+  cal.threshold = quantileThreshold(cal.benignScores, cfg.targetFpr);
+  cal.calibratedAt = ts;
+  cal.reason = reason;
+  cal.sinceCalibration = 0;
+  cal.awaitingDrift = false;
+  cal.benignSeen = 0;
+  cal.benignFlagged = 0;
+  return true;
+}
+
+// Feed one scored event ({ score, predicted, trueLabel }). Labelled benign
+// samples always count; unlabelled ones only when predicted benign.
+// Returns the calibration reason when this sample triggered one, else null.
+function observeCalibration(cal, event, cfg, { driftFired = false, ts } = {}) {
+  const labelledBenign = event.trueLabel === "Normal";
+  if (labelledBenign) {
+    cal.benignSeen += 1;
+    if (event.predicted === "Attack") cal.benignFlagged += 1;
+  }
+
+  if (driftFired && cfg.afterDrift) {
+    cal.awaitingDrift = true;
+    cal.benignScores = []; // pre-drift scores no longer describe the device
+  }
+
+  if (labelledBenign || (event.trueLabel !== "Attack" && event.predicted === "Normal")) {
+    cal.benignScores.push(event.score);
+    if (cal.benignScores.length > cfg.historySize) cal.benignScores.shift();
+    cal.sinceCalibration += 1;
+  }
+
+  if (!cfg.enabled) return null;
+  const reason = !cal.calibratedAt
+    ? "initial"
+    : cal.awaitingDrift
+      ? "drift"
+      : cal.sinceCalibration >= cfg.recalibrateEvery
+        ? "periodic"
+        : null;
+  return reason && calibrate(cal, cfg, ts, reason) ? reason : null;
+}
+
+function calibrationSummary(cal, cfg) {
+  return {
+    threshold: Number(currentThreshold(cal, cfg).toFixed(4)),
+    calibrated: Boolean(cfg.enabled && cal.calibratedAt),
+    calibratedAt: cal.calibratedAt,
+    reason: cal.reason,
+    targetFpr: cfg.targetFpr,
+    achievedFpr: cal.benignSeen === 0 ? null : Number((cal.benignFlagged / cal.benignSeen).toFixed(4)),
+    benignSamples: cal.benignScores.length
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  CALIBRATION_DEFAULTS,
+  createCalibration,
+  currentThreshold,
+  calibrate,
+  observeCalibration,
+  calibrationSummary
+};
@@ -0,0 +1,76 @@
+// classes.js
+// Attack classes: a rule-based classifier over the per-feature z-scores
+// the anomaly scorer already computes, and a per-class confusion matrix.
+
+const ATTACK_CLASSES = ["port_scan", "bruteforce", "ddos", "exfiltration", "generic"];
+const CLASSES = ["Normal", ...ATTACK_CLASSES];
+
+// a feature counts as raised above this z-score
+const RAISED_Z = 3;
+
+// Which attack does this feature pattern look like? z = signed z-scores
+// { packetsPerSec, failedAuth, bytesOut } against the benign baseline.
+function classifyAttack(z) {
+  const packets = z.packetsPerSec > RAISED_Z;
+  const failed = z.failedAuth > RAISED_Z;
+  const bytes = z.bytesOut > RAISED_Z;
+
+  if (failed) return packets || bytes ? "generic" : "bruteforce";
+  if (packets && bytes) {
+    // ddos floods packets; generic attacks raise both more evenly
+    return z.packetsPerSec > z.bytesOut ? "ddos" : "generic";
+  }
+  if (packets) return "port_scan";
+  if (bytes) return "exfiltration";
+  return "generic";
+}
+
+// true class of a labelled sample: trueClass wins, else trueLabel
+function trueClassOf(trueLabel, trueClass) {
+  if (CLASSES.includes(trueClass)) return trueClass;
+  if (trueLabel === "Normal") return "Normal";
+  if (trueLabel === "Attack") return "generic";
+  return null;
+}
+
+// matrix[trueClass][predictedClass] = count
+function createClassMatrix() {
+  const m = {};
+  for (const t of CLASSES) {
+    m[t] = {};
+    for (const p of CLASSES) m[t][p] = 0;
+  }
+  return m;
+}
+
+function classMetrics(matrix) {
+  const out = {};
+  for (const c of CLASSES) {
+    const tp = matrix[c][c];
+    let fp = 0;
+    let fn = 0;
+    for (const o of CLASSES) {
+      if (o === c) continue;
+      fp += matrix[o][c];
+      fn += matrix[c][o];
+    }
+    const precision = tp + fp === 0 ? 0 : tp / (tp + fp);
+    const recall = tp + fn === 0 ? 0 : tp / (tp + fn);
+    out[c] = {
+      support: tp + fn,
+      precision,
+      recall,
+      f1: precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall)
+    };
+  }
+  return out;
+}
+
+module.exports = {
+  ATTACK_CLASSES,
+  CLASSES,
+  classifyAttack,
+  trueClassOf,
+  createClassMatrix,
+  classMetrics
+};
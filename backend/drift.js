@@ -0,0 +1,271 @@
+// drift.js
+// Per-device, per-feature concept-drift detectors: ADWIN, Page-Hinkley and
+// a two-sample Kolmogorov-Smirnov test. Each detector sees the log1p of a
+// feature and answers "stable" | "warning" | "drift" for every new value.
+
+const DRIFT_FEATURES = ["packetsPerSec", "failedAuth", "bytesOut"];
+const DRIFT_DETECTORS = ["adwin", "page_hinkley", "ks"];
+const DEFAULT_DETECTOR = "page_hinkley";
+
+const DRIFT_DEFAULTS = {
+  adwin: { delta: 0.002, warningDelta: 0.02, maxWindow: 300, minSub: 10 },
+  page_hinkley: { delta: 0.5, lambda: 25, minSamples: 30 }, // in units of the running std
+  ks: { referenceSize: 150, windowSize: 50, alpha: 1e-4, warningAlpha: 1e-3 } // tested on every sample
+};
+
+// after firing, a device reports "drift" for this many samples
+const DRIFT_HOLD = 50;
+// per-sample decay of the post-drift memory in driftScore
+const DRIFT_DECAY = 0.97;
+
+function clamp01(x) {
+  return Math.max(0, Math.min(1, x));
+}
+
+// ---- ADWIN (variance-based cut, Bifet & Gavaldà 2007) ----
+function createAdwin(opts) {
+  const cfg = { ...DRIFT_DEFAULTS.adwin, ...opts };
+  let win = [];
+  let score = 0;
+
+  // largest relative gap over all splits; >= 1 means cut at this delta
+  function scan(delta) {
+    const n = win.length;
+    const total = win.reduce((a, x) => a + x, 0);
+    const mean = total / n;
+    const variance = win.reduce((a, x) => a + (x - mean) ** 2, 0) / n;
+    let best = { ratio: 0, cut: -1 };
+    let left = 0;
+    for (let i = 1; i < n; i++) {
+      left += win[i - 1];
+      if (i < cfg.minSub || n - i < cfg.minSub) continue;
+      const n0 = i;
+      const n1 = n - i;
+      const m = 1 / (1 / n0 + 1 / n1);
+      const dp = delta / n;
+      const eps = Math.sqrt((2 / m) * variance * Math.log(2 / dp)) + (2 / (3 * m)) * Math.log(2 / dp);
+      const gap = Math.abs(left / n0 - (total - left) / n1);
+      const ratio = eps > 0 ? gap / eps : 0;
+      if (ratio > best.ratio) best = { ratio, cut: i };
+    }
+    return best;
+  }
+
+  return {
+    update(x) {
+      win.push(x);
+      if (win.length > cfg.maxWindow) win.shift();
+      if (win.length < 2 * cfg.minSub) return "stable";
+
+      const hit = scan(cfg.delta);
+      score = clamp01(hit.ratio);
+      if (hit.ratio >= 1) {
+        win = win.slice(hit.cut); // drop the stale part
+        return "drift";
+      }
+      return scan(cfg.warningDelta).ratio >= 1 ? "warning" : "stable";
+    },
+    score: () => score
+  };
+}
+
+// ---- Page-Hinkley (two-sided, on standardised values) ----
+function createPageHinkley(opts) {
+  const cfg = { ...DRIFT_DEFAULTS.page_hinkley, ...opts };
+  let n = 0;
+  let mean = 0;
+  let m2 = 0;
+  let up = 0;
+  let upMin = 0;
+  let down = 0;
+  let downMax = 0;
+
+  function reset() {
+    n = 0;
+    mean = 0;
+    m2 = 0;
+    up = upMin = down = downMax = 0;
+  }
+
+  function stat() {
+    return Math.max(up - upMin, downMax - down);
+  }
+
+  return {
+    update(x) {
+      n += 1;
+      const d = x - mean;
+      mean += d / n;
+      m2 += d * (x - mean);
+      if (n < cfg.minSamples) return "stable"; // still estimating mean / std
+
+      const z = (x - mean) / Math.max(Math.sqrt(m2 / (n - 1)), 1e-3);
+      up += z - cfg.delta;
+      upMin = Math.min(upMin, up);
+      down += z + cfg.delta;
+      downMax = Math.max(downMax, down);
+
+      const ph = stat();
+      if (ph > cfg.lambda) {
+        reset();
+        return "drift";
+      }
+      return ph > cfg.lambda / 2 ? "warning" : "stable";
+    },
+    score: () => (n < cfg.minSamples ? 0 : clamp01(stat() / cfg.lambda))
+  };
+}
+
+// ---- two-sample Kolmogorov-Smirnov ----
+function ksStatistic(a, b) {
+  const x = a.slice().sort((p, q) => p - q);
+  const y = b.slice().sort((p, q) => p - q);
+  let i = 0;
+  let j = 0;
+  let d = 0;
+  while (i < x.length && j < y.length) {
+    const v = Math.min(x[i], y[j]);
+    while (i < x.length && x[i] <= v) i++;
+    while (j < y.length && y[j] <= v) j++;
+    d = Math.max(d, Math.abs(i / x.length - j / y.length));
+  }
+  return d;
+}
+
+// asymptotic p-value, Q_KS(λ) = 2 Σ (-1)^(k-1) exp(-2 k² λ²); the series
+// does not converge near λ = 0, where Q_KS is 1 to within 1e-4 up to 0.3
+function ksPValue(d, n, m) {
+  const ne = (n * m) / (n + m);
+  const lambda = (Math.sqrt(ne) + 0.12 + 0.11 / Math.sqrt(ne)) * d;
+  if (lambda < 0.3) return 1;
+  let sum = 0;
+  for (let k = 1; k <= 100; k++) {
+    const term = 2 * (k % 2 ? 1 : -1) * Math.exp(-2 * k * k * lambda * lambda);
+    sum += term;
+    if (Math.abs(term) < 1e-10) break;
+  }
+  return clamp01(sum);
+}
+
+function createKs(opts) {
+  const cfg = { ...DRIFT_DEFAULTS.ks, ...opts };
+  let reference = [];
+  let current = [];
+  let score = 0;
+
+  return {
+    update(x) {
+      if (reference.length < cfg.referenceSize) {
+        reference.push(x);
+        return "stable";
+      }
+      current.push(x);
+      if (current.length > cfg.windowSize) current.shift();
+      if (current.length < cfg.windowSize) return "stable";
+
+      const p = ksPValue(ksStatistic(reference, current), reference.length, current.length);
+      score = clamp01(1 - p / cfg.warningAlpha);
+      if (p < cfg.alpha) {
+        reference = current; // the new distribution becomes the reference, and
+        current = [];        // fills up to referenceSize again
+        score = 0;
+        return "drift";
+      }
+      return p < cfg.warningAlpha ? "warning" : "stable";
+    },
+    score: () => score
+  };
+}
+
+const FACTORIES = {
+  adwin: createAdwin,
+  page_hinkley: createPageHinkley,
+  ks: createKs
+};
+
+// ---- per-device state ----
+function createDriftState(detector = DEFAULT_DETECTOR, params = {}) {
+  const features = {};
+  for (const f of DRIFT_FEATURES) {
+    features[f] = { state: "stable", detector: FACTORIES[detector](params) };
+  }
+  return {
+    detector,
+    params,
+    features,
+    samples: 0,
+    state: "stable",
+    feature: null,     // feature that fired last
+    firedAt: null,     // ts of the last drift
+    sinceFired: null,  // samples since the last drift
+    memory: 0,         // decays from 1 after a drift
+    detections: 0
+  };
+}
+
+// Feed one sample to a device's detectors. Returns { state, score, fired }.
+function updateDrift(ds, features, ts) {
+  ds.samples += 1;
+  ds.memory *= DRIFT_DECAY;
+  if (ds.sinceFired !== null) ds.sinceFired += 1;
+
+  let fired = null;
+  let warning = false;
+  let evidence = 0;
+  for (const f of DRIFT_FEATURES) {
+    const entry = ds.features[f];
+    entry.state = entry.detector.update(Math.log1p(Math.max(0, Number(features[f]) || 0)));
+    evidence = Math.max(evidence, entry.detector.score());
+    if (entry.state === "drift" && !fired) fired = f;
+    if (entry.state === "warning") warning = true;
+  }
+
+  if (fired) {
+    ds.feature = fired;
+    ds.firedAt = ts;
+    ds.sinceFired = 0;
+    ds.memory = 1;
+    ds.detections += 1;
+  }
+
+  ds.state =
+    ds.sinceFired !== null && ds.sinceFired < DRIFT_HOLD
+      ? "drift"
+      : warning
+        ? "warning"
+        : "stable";
+
+  return { state: ds.state, score: clamp01(Math.max(evidence, ds.memory)), fired };
+}
+
+function driftSummary(ds) {
+  const features = {};
+  for (const f of DRIFT_FEATURES) {
+    features[f] = {
+      state: ds.features[f].state,
+      score: Number(ds.features[f].detector.score().toFixed(3))
+    };
+  }
+  return {
+    detector: ds.detector,
+    params: ds.params,
+    state: ds.state,
+    feature: ds.feature,
+    firedAt: ds.firedAt,
+    detections: ds.detections,
+    samples: ds.samples,
+    features
+  };
+}
+
+module.exports = {
+  DRIFT_FEATURES,
+  DRIFT_DETECTORS,
+  DEFAULT_DETECTOR,
+  DRIFT_DEFAULTS,
+  ksStatistic,
+  ksPValue,
+  createDriftState,
+  updateDrift,
+  driftSummary
+};
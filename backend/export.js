@@ -0,0 +1,82 @@
+// export.js
+// CSV / NDJSON downloads of telemetry, alerts and metric timeseries.
+// Rows are fetched and written BATCH_ROWS at a time, and the next batch
+// waits for 'drain' whenever the socket buffer is full, so a slow client
+// never makes the server hold more than about one batch.
+
+const TELEMETRY_COLUMNS = [
+  "id", "ts", "deviceId", "deviceName", "packetsPerSec", "failedAuth", "bytesOut",
+  "score", "threshold", "predicted", "predictedClass", "trueLabel", "trueClass"
+];
+
+const ALERT_COLUMNS = [
+  "id", "ts", "deviceId", "deviceName", "type", "severity", "attackClass",
+  "score", "driftScore", "feature", "detector", "message", "state", "assignee",
+  "incidentId", "duplicateOf"
+];
+
+const BATCH_ROWS = 500;
+
+// Text that starts like a formula gets a leading ' so spreadsheets show it
+// instead of evaluating it; numbers are left alone.
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  let s = String(v);
+  if (typeof v === "string" && /^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(",") + "\n";
+}
+
+// telemetry events carry their features nested
+function flattenTelemetry(e) {
+  return { ...e, ...(e.features || {}) };
+}
+
+// Send rows as a download. format: csv | ndjson; columns are used for CSV,
+// NDJSON writes each record whole. rows is an array or a function
+// (count) -> up to count more records, [] once there are no more.
+function sendRows(res, filename, format, rows, columns) {
+  let start = 0;
+  const next = Array.isArray(rows) ? (count) => rows.slice(start, (start += count)) : rows;
+  res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  if (format === "csv") res.write(csvLine(columns));
+
+  const writeMore = () => {
+    while (!res.destroyed) {
+      const batch = next(BATCH_ROWS);
+      if (batch.length === 0) return res.end();
+      const text = batch
+        .map((r) => (format === "csv" ? csvLine(columns.map((c) => r[c])) : JSON.stringify(r) + "\n"))
+        .join("");
+      if (!res.write(text)) return res.once("drain", writeMore);
+    }
+  };
+  writeMore();
+}
+
+// rollupSeries output -> one row per bucket: t, <metric>, <metric>_min, <metric>_max
+function timeseriesRows(series, metrics) {
+  const columns = ["t", ...metrics.flatMap((m) => [m, `${m}_min`, `${m}_max`])];
+  const rows = series.t.map((t, i) => {
+    const row = { t: new Date(t).toISOString() };
+    for (const m of metrics) {
+      row[m] = series[m][i];
+      row[`${m}_min`] = series.min[m][i];
+      row[`${m}_max`] = series.max[m][i];
+    }
+    return row;
+  });
+  return { columns, rows };
+}
+
+module.exports = {
+  TELEMETRY_COLUMNS,
+  ALERT_COLUMNS,
+  flattenTelemetry,
+  sendRows,
+  timeseriesRows
+};
@@ -0,0 +1,252 @@
+// fl.js
+// Federated averaging over device weight vectors
+
+const { PARAM_DIM } = require("./model");
+const { l2Norm, subtract, ROBUST_DEFAULTS, ROBUST_AGGREGATORS, robustAggregate } = require("./robust");
+const { submittedWeights, backdoorAttackProbability } = require("./poisoning");
+const { dpAggregate } = require("./privacy");
+const { secureAggregate } = require("./secagg");
+const { random } = require("./random");
+
+const MODEL_DIM = PARAM_DIM;
+
+function randomWeights(dim = MODEL_DIM) {
+  return Array.from({ length: dim }, () => (random() - 0.5) * 0.1);
+}
+
+// weighted average of client vectors; weights need not sum to 1
+function fedAvg(clients) {
+  const total = clients.reduce((a, c) => a + c.weight, 0);
+  if (clients.length === 0 || total <= 0) return null;
+
+  const dim = clients[0].w.length;
+  const out = new Array(dim).fill(0);
+  for (const c of clients) {
+    const k = c.weight / total;
+    for (let i = 0; i < dim; i++) out[i] += k * c.w[i];
+  }
+  return out;
+}
+
+const AGGREGATORS = ["fedavg", "adaptive", ...Object.keys(ROBUST_AGGREGATORS)];
+
+// adaptive FedAvg: weight = samples * accuracy^accuracyPower * exp(-driftPenalty * drift);
+// a device that asked for the round after drift adaptation (flRequested)
+// has already adapted, so it gets requestBoost instead of the drift penalty
+const ADAPTIVE_DEFAULTS = {
+  accuracyPower: 2,
+  driftPenalty: 3,
+  minAccuracy: 0.5, // clients below this local accuracy get weight 0
+  requestBoost: 1.5
+};
+
+function round4(x) {
+  return Number(x.toFixed(4));
+}
+
+// training data volume of a device: the dataset it registered with plus
+// the labelled samples it has collected since
+function sampleCount(device) {
+  return (device.dataSize || 0) + (device.labelledSamples || 0);
+}
+
+// effective (unnormalised) weight of one device under the given strategy
+function clientWeight(device, aggregator, adaptive = {}) {
+  const n = sampleCount(device);
+  if (aggregator !== "adaptive") return { weight: n, quality: 1, driftFactor: 1 };
+
+  const cfg = { ...ADAPTIVE_DEFAULTS, ...adaptive };
+  const acc = device.localAccuracy ?? 0;
+  const quality = acc < cfg.minAccuracy ? 0 : acc ** cfg.accuracyPower;
+  const driftFactor = device.flRequested
+    ? cfg.requestBoost
+    : Math.exp(-cfg.driftPenalty * (device.driftScore || 0));
+  return { weight: n * quality * driftFactor, quality, driftFactor };
+}
+
+// status of each client under plain / adaptive weighting
+function weightDecisions(clients, totalWeight, totalData) {
+  return clients.map((c) => {
+    const share = totalData === 0 ? 0 : sampleCount(c.device) / totalData;
+    const weight = totalWeight === 0 ? 0 : c.weight / totalWeight;
+    return {
+      influence: c.weight,
+      status: c.weight === 0 ? "rejected" : weight < share - 1e-9 ? "downweighted" : "accepted",
+      detail:
+        `quality ${c.quality.toFixed(3)}, drift factor ${c.driftFactor.toFixed(3)}` +
+        (c.device.flRequested ? " (requested after drift adaptation)" : "")
+    };
+  });
+}
+
+// One aggregation round: collect the vector each active device submits
+// (its localW, or a poisoned one), aggregate with the chosen strategy, push
+// the new global vector back to the participants.
+// evaluate(w) -> accuracy | null scores a global vector on held-out data;
+// without it the after-accuracy is the weighted mean of local ones.
+// With dp.enabled the weighted aggregate is clipped and noised (privacy.js);
+// the caller is responsible for the privacy accounting. With
+// secureAgg.enabled the server only sees pairwise-masked vectors (secagg.js);
+// secureAgg.dropouts is a Set of device ids that drop out mid-round.
+function runRound({
+  devices,
+  globalModel,
+  evaluate,
+  aggregator = "fedavg",
+  adaptive,
+  robust,
+  dp,
+  secureAgg
+}) {
+  const participants = devices.filter((d) => !d.quarantined && !d.flExcluded && Array.isArray(d.localW));
+  const skipped = devices.filter((d) => !participants.includes(d));
+
+  const before = globalModel.w;
+  const clients = participants.map((d) => ({
+    device: d,
+    w: submittedWeights(d, before),
+    ...clientWeight(d, aggregator, adaptive)
+  }));
+  const totalData = participants.reduce((a, d) => a + sampleCount(d), 0);
+  const totalWeight = clients.reduce((a, c) => a + c.weight, 0);
+
+  const accuracyBefore = (evaluate && evaluate(before)) ?? globalModel.accuracy;
+
+  let next = null;
+  let decisions = [];
+  let clipNorm;
+  let dpOut = null;
+  let secOut = null;
+  if (ROBUST_AGGREGATORS[aggregator]) {
+    const out = robustAggregate(aggregator, clients, robust, before);
+    if (out) ({ w: next, decisions, clipNorm } = out);
+  } else if (dp && dp.enabled) {
+    dpOut = dpAggregate(clients, before, dp);
+    next = dpOut ? dpOut.w : null;
+    decisions = weightDecisions(clients, totalWeight, totalData);
+    if (dpOut) {
+      dpOut.clipped.forEach((c, i) => {
+        if (c.factor < 1) decisions[i].detail += `, update clipped ${c.norm.toFixed(4)} -> ${dp.clipNorm}`;
+      });
+    }
+  } else if (secureAgg && secureAgg.enabled && clients.length > 0) {
+    secOut = secureAggregate(clients, secureAgg);
+    next = secOut.w;
+    decisions = weightDecisions(clients, totalWeight, totalData);
+    clients.forEach((c, i) => {
+      if (secOut.dropped.includes(c.device.id)) {
+        decisions[i] = { influence: 0, status: "dropped", detail: "dropped out; masks removed via key shares" };
+      }
+    });
+  } else {
+    next = fedAvg(clients);
+    decisions = weightDecisions(clients, totalWeight, totalData);
+  }
+  const totalInfluence = decisions.reduce((a, d) => a + d.influence, 0);
+
+  const report = {
+    round: globalModel.round,
+    ts: new Date().toISOString(),
+    aggregator,
+    participants: clients.map((c, i) => ({
+      deviceId: c.device.id,
+      deviceName: c.device.name,
+      dataSize: sampleCount(c.device),
+      dataShare: totalData === 0 ? 0 : round4(sampleCount(c.device) / totalData),
+      weight: totalInfluence === 0 ? 0 : round4(decisions[i].influence / totalInfluence),
+      status: decisions[i].status,
+      detail: decisions[i].detail,
+      poisoned: c.device.poison ? c.device.poison.type : null,
+      requested: Boolean(c.device.flRequested),
+      localAccuracy: Number((c.device.localAccuracy ?? 0).toFixed(3)),
+      driftScore: Number((c.device.driftScore ?? 0).toFixed(3)),
+      updateNorm: round4(l2Norm(subtract(c.w, before)))
+    })),
+    skipped: skipped.map((d) => ({
+      deviceId: d.id,
+      deviceName: d.name,
+      reason: d.quarantined ? "quarantined" : d.flExcluded ? "excluded from FL" : "no local model"
+    })),
+    accuracyBefore: round4(accuracyBefore),
+    accuracyAfter: round4(accuracyBefore),
+    globalUpdateNorm: 0
+  };
+  report.rejected = report.participants.filter((p) => p.status === "rejected").map((p) => p.deviceName);
+  report.downweighted = report.participants.filter((p) => p.status === "downweighted").map((p) => p.deviceName);
+  report.requested = report.participants.filter((p) => p.requested).map((p) => p.deviceName);
+  if (clipNorm !== undefined) report.clipNorm = round4(clipNorm);
+  if (secOut) {
+    report.secureAgg = secOut.log;
+    if (next) {
+      // what plain FedAvg over the same survivors would have produced
+      const plain = fedAvg(clients.filter((c) => !secOut.dropped.includes(c.device.id)));
+      const diff = plain ? Math.max(...plain.map((x, i) => Math.abs(x - next[i]))) : null;
+      report.secureAgg.maxAbsDiffVsPlain = diff;
+      report.secureAgg.matchesPlain = diff !== null && diff < 1e-6;
+      if (!report.secureAgg.matchesPlain) {
+        // leftover masks would corrupt the global model; keep the old one
+        report.secureAgg.aborted = true;
+        report.secureAgg.reason = "aggregate does not match plain FedAvg; masks did not cancel";
+        next = null;
+      }
+    }
+  }
+
+  if (!next) return report;
+
+  const accuracyAfter =
+    (evaluate && evaluate(next)) ??
+    clients.reduce(
+      (a, c, i) => a + (decisions[i].influence / totalInfluence) * (c.device.localAccuracy ?? accuracyBefore),
+      0
+    );
+
+  if (dpOut) {
+    const accuracyWithoutNoise = evaluate ? evaluate(dpOut.wNoNoise) : null;
+    report.dp = {
+      clipNorm: dp.clipNorm,
+      noiseMultiplier: dp.noiseMultiplier,
+      noiseStd: round4(dpOut.noiseStd),
+      clipped: clients.filter((c, i) => dpOut.clipped[i].factor < 1).map((c) => c.device.name),
+      accuracyWithoutNoise: accuracyWithoutNoise === null ? null : round4(accuracyWithoutNoise),
+      accuracyCost: accuracyWithoutNoise === null ? null : round4(accuracyWithoutNoise - accuracyAfter)
+    };
+  }
+
+  if (participants.some((d) => d.poison && d.poison.type === "backdoor")) {
+    report.backdoor = {
+      triggerAttackProbBefore: round4(backdoorAttackProbability(before)),
+      triggerAttackProbAfter: round4(backdoorAttackProbability(next))
+    };
+  }
+
+  globalModel.w = next;
+  globalModel.accuracy = accuracyAfter;
+  globalModel.round += 1;
+  // secure-aggregation dropouts sent nothing and keep their own state
+  const dropped = secOut ? secOut.dropped : [];
+  participants
+    .filter((d) => !dropped.includes(d.id))
+    .forEach((d) => {
+      d.localW = next.slice();
+      d.flRequested = false; // a drift-adapted device's request is served
+    });
+
+  report.accuracyAfter = round4(accuracyAfter);
+  report.globalUpdateNorm = round4(l2Norm(subtract(next, before)));
+  return report;
+}
+
+module.exports = {
+  MODEL_DIM,
+  AGGREGATORS,
+  ADAPTIVE_DEFAULTS,
+  ROBUST_DEFAULTS,
+  randomWeights,
+  l2Norm,
+  subtract,
+  fedAvg,
+  sampleCount,
+  clientWeight,
+  runRound
+};
@@ -0,0 +1,109 @@
+// incident.js
+// Correlates alerts into incidents. An alert joins the newest active
+// incident with the same signature (anomaly class or drifted feature)
+// when it arrives within gapMs of that incident's last alert, and either
+// comes from a device already in it or lands within crossDeviceMs (the
+// same attack hitting several devices at once). Repeats from one device
+// within dedupMs are counted but not linked to the incident.
+const { v4: uuidv4 } = require("uuid");
+
+const INCIDENT_DEFAULTS = {
+  gapMs: 120000,        // quiet time after which an incident closes
+  crossDeviceMs: 10000, // other devices join within this of the last alert
+  dedupMs: 30000,       // repeats from one device within this are folded in
+  maxAlertIds: 50       // alert ids kept per incident (newest)
+};
+
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+function signatureOf(alert) {
+  return alert.type === "drift" ? `drift:${alert.feature}` : `${alert.type}:${alert.attackClass || "generic"}`;
+}
+
+function maxSeverity(a, b) {
+  return SEVERITY_RANK[a] >= SEVERITY_RANK[b] ? a : b;
+}
+
+function newIncident(alert, signature) {
+  return {
+    id: uuidv4(),
+    signature,
+    type: alert.type,
+    attackClass: alert.attackClass ?? null,
+    feature: alert.feature ?? null,
+    state: "active",
+    firstSeen: alert.ts,
+    lastSeen: alert.ts,
+    closedAt: null,
+    count: 0,
+    suppressed: 0,
+    severity: alert.severity,
+    scope: "device",
+    devices: [],
+    alertIds: []
+  };
+}
+
+// Fold one alert into incidents (newest first, mutated in place).
+// Returns { incident, created, duplicate }; a duplicate alert is counted
+// but not added to alertIds. keep: never treat it as one.
+function correlate(incidents, alert, cfg = INCIDENT_DEFAULTS, { keep = false } = {}) {
+  const signature = signatureOf(alert);
+  const ts = Date.parse(alert.ts);
+  let incident = incidents.find((inc) => {
+    if (inc.state !== "active" || inc.signature !== signature) return false;
+    const since = ts - Date.parse(inc.lastSeen);
+    if (since > cfg.gapMs) return false;
+    return inc.devices.some((d) => d.id === alert.deviceId) || since <= cfg.crossDeviceMs;
+  });
+  const created = !incident;
+  if (created) {
+    incident = newIncident(alert, signature);
+    incidents.unshift(incident);
+  }
+
+  let device = incident.devices.find((d) => d.id === alert.deviceId);
+  const duplicate = !keep && Boolean(device) && ts - Date.parse(device.lastAlertAt) <= cfg.dedupMs;
+  if (!device) {
+    device = { id: alert.deviceId, name: alert.deviceName, count: 0, lastAlertAt: alert.ts };
+    incident.devices.push(device);
+  }
+  device.count += 1;
+  if (!duplicate) device.lastAlertAt = alert.ts;
+
+  incident.count += 1;
+  incident.lastSeen = alert.ts;
+  if (duplicate) {
+    incident.suppressed += 1;
+  } else {
+    incident.alertIds.push(alert.id);
+    if (incident.alertIds.length > cfg.maxAlertIds) incident.alertIds.shift();
+  }
+  incident.severity = maxSeverity(incident.severity, alert.severity);
+  if (incident.devices.length > 1) {
+    incident.scope = "multi_device";
+    // the same attack on several devices at once is at least high
+    if (incident.type === "anomaly") incident.severity = maxSeverity(incident.severity, "high");
+  }
+  return { incident, created, duplicate };
+}
+
+// close active incidents that have been quiet for gapMs; returns them
+function closeStale(incidents, now, cfg = INCIDENT_DEFAULTS) {
+  const closed = [];
+  for (const inc of incidents) {
+    if (inc.state === "active" && now - Date.parse(inc.lastSeen) > cfg.gapMs) {
+      inc.state = "closed";
+      inc.closedAt = new Date(now).toISOString();
+      closed.push(inc);
+    }
+  }
+  return closed;
+}
+
+module.exports = {
+  INCIDENT_DEFAULTS,
+  signatureOf,
+  correlate,
+  closeStale
+};
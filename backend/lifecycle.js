@@ -0,0 +1,85 @@
+// lifecycle.js
+// Alert triage: every alert carries a state, an assignee, analyst notes
+// and the history of its state changes.
+//
+//   open -> acknowledged -> resolved | false_positive
+//   open -> resolved | false_positive
+//   resolved | false_positive -> open (reopen)
+
+const ALERT_STATES = ["open", "acknowledged", "resolved", "false_positive"];
+
+const TRANSITIONS = {
+  open: ["acknowledged", "resolved", "false_positive"],
+  acknowledged: ["resolved", "false_positive"],
+  resolved: ["open"],
+  false_positive: ["open"]
+};
+
+const MAX_NOTE_LENGTH = 2000;
+
+// lifecycle fields for a new alert
+function newLifecycle(ts) {
+  return {
+    state: "open",
+    assignee: null,
+    notes: [],
+    history: [{ ts, state: "open", by: "system", note: null }]
+  };
+}
+
+// alerts from before lifecycles existed are treated as open
+function ensureLifecycle(alert) {
+  if (!alert.state) Object.assign(alert, newLifecycle(alert.ts));
+  return alert;
+}
+
+// Move alert to state `to`. Returns an error message when the transition
+// is not allowed, else null.
+function transition(alert, to, { by = null, note = null, ts = new Date().toISOString() } = {}) {
+  ensureLifecycle(alert);
+  if (!ALERT_STATES.includes(to)) return `unknown state "${to}"`;
+  if (!TRANSITIONS[alert.state].includes(to)) return `cannot go from ${alert.state} to ${to}`;
+  alert.state = to;
+  alert.history.push({ ts, state: to, by, note });
+  if (note) alert.notes.push({ ts, by, text: note });
+  return null;
+}
+
+function assign(alert, assignee, { by = null, ts = new Date().toISOString() } = {}) {
+  ensureLifecycle(alert);
+  alert.assignee = assignee || null;
+  alert.history.push({ ts, state: alert.state, by, note: `assigned to ${alert.assignee ?? "nobody"}` });
+}
+
+// error message for an empty, non-string or oversized note, else null
+function noteError(text) {
+  if (typeof text !== "string" || !text.trim()) return "note text is required";
+  if (text.length > MAX_NOTE_LENGTH) return `notes are limited to ${MAX_NOTE_LENGTH} characters`;
+  return null;
+}
+
+// Returns an error message for an invalid note (see noteError), else null.
+function addNote(alert, text, { by = null, ts = new Date().toISOString() } = {}) {
+  ensureLifecycle(alert);
+  const error = noteError(text);
+  if (error) return error;
+  alert.notes.push({ ts, by, text: text.trim() });
+  return null;
+}
+
+// the mutable part of an alert, as logged on every change
+function lifecycleOf(alert) {
+  const { state, assignee, notes, history } = ensureLifecycle(alert);
+  return { state, assignee, notes, history };
+}
+
+module.exports = {
+  ALERT_STATES,
+  newLifecycle,
+  ensureLifecycle,
+  transition,
+  assign,
+  noteError,
+  addNote,
+  lifecycleOf
+};
@@ -0,0 +1,49 @@
+// metrics.js
+// Detection metrics from confusion counts, and the same metrics over
+// sliding windows of recent scored events (last N events / last T seconds).
+
+const WINDOW_DEFAULTS = {
+  events: 200,  // last N labelled events
+  seconds: 60   // last T seconds
+};
+
+// { TP, FP, TN, FN } -> precision / recall / f1 / fpRate
+function metricsFrom({ TP, FP, TN, FN }) {
+  const precision = TP + FP === 0 ? 0 : TP / (TP + FP);
+  const recall = TP + FN === 0 ? 0 : TP / (TP + FN);
+  const f1 = precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+  const negatives = TN + FP;
+  return { precision, recall, f1, fpRate: negatives === 0 ? 0 : FP / negatives };
+}
+
+// events: [{ trueLabel, predicted }]; unlabelled ones are ignored
+function confusionOf(events) {
+  const c = { TP: 0, FP: 0, TN: 0, FN: 0 };
+  for (const e of events) {
+    if (e.trueLabel === "Attack") c[e.predicted === "Attack" ? "TP" : "FN"]++;
+    else if (e.trueLabel === "Normal") c[e.predicted === "Attack" ? "FP" : "TN"]++;
+  }
+  return c;
+}
+
+function summarise(events) {
+  const c = confusionOf(events);
+  return { events: c.TP + c.FP + c.TN + c.FN, ...c, ...metricsFrom(c) };
+}
+
+// events oldest first, each with ts (epoch ms); cfg = { events, seconds }
+function windowMetrics(events, cfg, now = Date.now()) {
+  const labelled = events.filter((e) => e.trueLabel === "Attack" || e.trueLabel === "Normal");
+  const since = now - cfg.seconds * 1000;
+  return {
+    lastEvents: { size: cfg.events, ...summarise(labelled.slice(-cfg.events)) },
+    lastSeconds: { size: cfg.seconds, ...summarise(labelled.filter((e) => e.ts >= since)) }
+  };
+}
+
+module.exports = {
+  WINDOW_DEFAULTS,
+  metricsFrom,
+  confusionOf,
+  windowMetrics
+};
@@ -0,0 +1,144 @@
+// model.js
+// Tiny on-device classifier: logistic regression over a quadratic
+// expansion of the three log-scaled telemetry features.
+
+const { random } = require("./random");
+
+// Fixed normalisation shared by every device, so local weight vectors live
+// in the same space and can be averaged by the FL server.
+const NORM = {
+  mean: [5.5, 1.0, 9.5], // log1p(packetsPerSec), log1p(failedAuth), log1p(bytesOut)
+  std: [1.0, 1.0, 1.0]
+};
+
+// bias + 3 linear + 3 squared + 3 pairwise terms
+const PARAM_DIM = 10;
+
+const TRAIN_DEFAULTS = {
+  epochs: 5,
+  lr: 0.05,
+  l2: 0.001,
+  minSamples: 20,   // labelled samples needed before the first fit
+  every: 20,        // retrain after this many new samples
+  holdoutEvery: 5   // every 5th labelled sample is kept for evaluation
+};
+
+function featureVector(f) {
+  const raw = [f.packetsPerSec, f.failedAuth, f.bytesOut];
+  const [a, b, c] = raw.map(
+    (v, i) => (Math.log1p(Math.max(0, Number(v) || 0)) - NORM.mean[i]) / NORM.std[i]
+  );
+  return [1, a, b, c, a * a, b * b, c * c, a * b, a * c, b * c];
+}
+
+function sigmoid(z) {
+  if (z < -30) return 0;
+  if (z > 30) return 1;
+  return 1 / (1 + Math.exp(-z));
+}
+
+function dot(w, x) {
+  let s = 0;
+  for (let i = 0; i < x.length; i++) s += w[i] * x[i];
+  return s;
+}
+
+// P(attack | features)
+function predictProba(w, features) {
+  return sigmoid(dot(w, featureVector(features)));
+}
+
+function isLabelled(e) {
+  return e.trueLabel === "Attack" || e.trueLabel === "Normal";
+}
+
+// deterministic split of a device window into train / holdout
+function splitWindow(window, holdoutEvery = TRAIN_DEFAULTS.holdoutEvery) {
+  const train = [];
+  const holdout = [];
+  window.filter(isLabelled).forEach((e, i) => {
+    if (i % holdoutEvery === holdoutEvery - 1) holdout.push(e);
+    else train.push(e);
+  });
+  return { train, holdout };
+}
+
+// plain SGD on log-loss with L2, starting from w.
+// flipLabels trains on inverted labels (label-flipping poisoning client).
+function trainLocal(w, samples, opts = {}) {
+  const { epochs, lr, l2, flipLabels } = { ...TRAIN_DEFAULTS, ...opts };
+  const out = w.slice();
+  const data = samples.map((e) => ({
+    x: featureVector(e.features),
+    y: (e.trueLabel === "Attack") !== Boolean(flipLabels) ? 1 : 0
+  }));
+
+  for (let ep = 0; ep < epochs; ep++) {
+    // shuffle each epoch
+    for (let i = data.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [data[i], data[j]] = [data[j], data[i]];
+    }
+    for (const { x, y } of data) {
+      const err = sigmoid(dot(out, x)) - y;
+      for (let k = 0; k < out.length; k++) {
+        out[k] -= lr * (err * x[k] + l2 * out[k]);
+      }
+    }
+  }
+  return out;
+}
+
+// accuracy at p=0.5; null when there is nothing to evaluate on
+function evaluate(w, samples) {
+  if (!samples || samples.length === 0) return null;
+  let correct = 0;
+  for (const e of samples) {
+    const pred = predictProba(w, e.features) > 0.5 ? "Attack" : "Normal";
+    if (pred === e.trueLabel) correct++;
+  }
+  return correct / samples.length;
+}
+
+// Fit device.localW on its own window and measure localAccuracy on the
+// local holdout. Returns null when there is not enough labelled data yet.
+function trainDevice(device, opts = {}) {
+  const cfg = { ...TRAIN_DEFAULTS, ...opts };
+  const { train, holdout } = splitWindow(device.window || [], cfg.holdoutEvery);
+  if (train.length < cfg.minSamples) return null;
+
+  const flipLabels = Boolean(device.poison && device.poison.type === "label_flip");
+  device.localW = trainLocal(device.localW, train, { ...cfg, flipLabels });
+  device.trainSize = train.length;
+  device.samplesSinceTrain = 0;
+  device.lastTrainedAt = new Date().toISOString();
+
+  const accuracy = evaluate(device.localW, holdout);
+  if (accuracy !== null) device.localAccuracy = accuracy;
+
+  return { trainSize: train.length, holdoutSize: holdout.length, accuracy };
+}
+
+// call once per new window sample; retrains every cfg.every samples.
+// Counts labelled samples in device.labelledSamples (FL weighting, fl.js).
+function maybeTrainDevice(device, opts = {}) {
+  const cfg = { ...TRAIN_DEFAULTS, ...opts };
+  const latest = device.window && device.window[device.window.length - 1];
+  if (latest && isLabelled(latest)) device.labelledSamples = (device.labelledSamples || 0) + 1;
+  device.samplesSinceTrain = (device.samplesSinceTrain || 0) + 1;
+  if (device.samplesSinceTrain < cfg.every) return null;
+  return trainDevice(device, cfg);
+}
+
+module.exports = {
+  PARAM_DIM,
+  TRAIN_DEFAULTS,
+  featureVector,
+  predictProba,
+  isLabelled,
+  splitWindow,
+  trainLocal,
+  evaluate,
+  trainDevice,
+  maybeTrainDevice
+};
@@ -0,0 +1,308 @@
+// persistence.js
+// Durable storage without extra dependencies: every telemetry event, alert,
+// FL round and adaptation step is appended to a JSONL log, and the full
+// in-memory state is written to a snapshot file periodically and on
+// shutdown. On startup the last snapshot is loaded and log records newer
+// than it are handed back so the recent lists can be rebuilt.
+//
+// History queries go through an in-memory index instead of the log: for
+// each kind passed in opts.index it keeps a small meta object (the fields
+// the filters need) plus the byte offset of every record logged since the
+// last "reset", so a query filters and pages the metas and reads only the
+// records it returns.
+const fs = require("fs");
+const path = require("path");
+
+const PERSIST_DEFAULTS = {
+  enabled: process.env.IDS_PERSIST !== "0",
+  dir: process.env.IDS_DATA_DIR || path.join(__dirname, "data"),
+  snapshotEveryMs: Number(process.env.IDS_SNAPSHOT_MS) || 60000,
+  flushEveryMs: 1000,
+  retention: {
+    maxAgeDays: Number(process.env.IDS_RETENTION_DAYS) || 7,
+    maxRecords: Number(process.env.IDS_RETENTION_RECORDS) || 200000
+  }
+};
+
+const LOG_FILE = "events.jsonl";
+const SNAPSHOT_FILE = "snapshot.json";
+const CHUNK_BYTES = 1024 * 1024;
+// compaction waits until the log is this much over maxRecords
+const COMPACT_SLACK = 0.1;
+// records of this kind start the history over
+const RESET_KIND = "reset";
+
+function createStorage(opts = {}) {
+  const cfg = {
+    ...PERSIST_DEFAULTS,
+    ...opts,
+    retention: { ...PERSIST_DEFAULTS.retention, ...(opts.retention || {}) }
+  };
+  const logPath = path.join(cfg.dir, LOG_FILE);
+  const snapshotPath = path.join(cfg.dir, SNAPSHOT_FILE);
+
+  // opts.index: { kind: (data) -> meta with an id }
+  const indexers = opts.index || {};
+
+  // [{ line, entry }] not yet written; entry is the record's index entry
+  let pending = [];
+  let records = 0;
+  let logBytes = 0;
+  let lastSnapshotAt = null;
+  let lastCompaction = null;
+  const timers = [];
+  // kind -> { list: [{ meta, pos, len }] oldest first, byId: Map }
+  let index = {};
+  clearIndex();
+
+  if (cfg.enabled) {
+    fs.mkdirSync(cfg.dir, { recursive: true });
+    eachLine((line, pos) => {
+      records += 1;
+      indexLine(line, pos);
+    });
+    if (fs.existsSync(logPath)) logBytes = fs.statSync(logPath).size;
+  }
+
+  // read the log CHUNK_BYTES at a time: fn(buffer) per chunk
+  function eachChunk(fn) {
+    if (!fs.existsSync(logPath)) return;
+    const fd = fs.openSync(logPath, "r");
+    const buf = Buffer.alloc(CHUNK_BYTES);
+    try {
+      let n;
+      while ((n = fs.readSync(fd, buf, 0, CHUNK_BYTES, null)) > 0) fn(buf.subarray(0, n));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // fn(line, pos, len) for every non-empty log line, oldest first, with its
+  // byte offset and length; no more than one chunk of the file is held
+  function eachLine(fn) {
+    let rest = null;
+    let pos = 0; // file offset of buf[0]
+    eachChunk((chunk) => {
+      const buf = rest ? Buffer.concat([rest, chunk]) : chunk;
+      let start = 0;
+      let nl;
+      while ((nl = buf.indexOf(10, start)) !== -1) {
+        if (nl > start) fn(buf.toString("utf8", start, nl), pos + start, nl - start);
+        start = nl + 1;
+      }
+      rest = Buffer.from(buf.subarray(start)); // the chunk buffer is reused
+      pos += start;
+    });
+    if (rest && rest.length) fn(rest.toString("utf8"), pos, rest.length);
+  }
+
+  function clearIndex() {
+    index = {};
+    for (const kind of Object.keys(indexers)) index[kind] = { list: [], byId: new Map() };
+  }
+
+  function addEntry(kind, data, pos, len) {
+    const entry = { meta: indexers[kind](data), pos, len };
+    index[kind].list.push(entry);
+    index[kind].byId.set(entry.meta.id, entry);
+    return entry;
+  }
+
+  // index one line read back from the log at byte offset pos
+  function indexLine(line, pos) {
+    const m = /^\{"kind":"([^"]*)"/.exec(line);
+    if (!m) return;
+    if (m[1] === RESET_KIND) return clearIndex();
+    if (!indexers[m[1]]) return;
+    const r = parseLine(line);
+    if (r) addEntry(m[1], r.data, pos, Buffer.byteLength(line));
+  }
+
+  // kind: telemetry | alert | fl_round | adaptation | ...
+  function append(kind, data) {
+    if (!cfg.enabled) return;
+    const line = JSON.stringify({ kind, ts: Date.now(), data });
+    let entry = null;
+    if (kind === RESET_KIND) clearIndex();
+    else if (indexers[kind]) entry = addEntry(kind, data, null, Buffer.byteLength(line));
+    pending.push({ line, entry });
+  }
+
+  // written records get their byte offset in the index
+  function flush() {
+    if (!cfg.enabled || pending.length === 0) return;
+    fs.appendFileSync(logPath, pending.map((p) => p.line).join("\n") + "\n");
+    for (const { line, entry } of pending) {
+      if (entry) entry.pos = logBytes;
+      logBytes += Buffer.byteLength(line) + 1;
+    }
+    records += pending.length;
+    pending = [];
+  }
+
+  function parseLine(line) {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      return null; // a torn last line after a crash
+    }
+  }
+
+  // every parsed log record, oldest first (pass a filter to keep fewer)
+  function readLog(keep = () => true) {
+    const out = [];
+    if (!cfg.enabled) return out;
+    eachLine((line) => {
+      const r = parseLine(line);
+      if (r && keep(r)) out.push(r);
+    });
+    return out;
+  }
+
+  // index entries of one kind logged since the last reset, oldest first;
+  // null when persistence is off or the kind is not indexed
+  function entries(kind) {
+    return cfg.enabled && index[kind] ? index[kind].list : null;
+  }
+
+  // the newest index entry of a kind with this id, or undefined
+  function lookup(kind, id) {
+    return cfg.enabled && index[kind] ? index[kind].byId.get(id) : undefined;
+  }
+
+  // record data for a list of index entries (null for a missing entry),
+  // read straight from their offsets in the log
+  function read(list) {
+    if (!cfg.enabled) return list.map(() => null);
+    flush();
+    const fd = fs.openSync(logPath, "r");
+    try {
+      return list.map((entry) => {
+        if (!entry) return null;
+        const buf = Buffer.alloc(entry.len);
+        fs.readSync(fd, buf, 0, entry.len, entry.pos);
+        const r = parseLine(buf.toString("utf8"));
+        return r ? r.data : null;
+      });
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // ts of the oldest logged record, or null
+  function oldestTs() {
+    let ts = null;
+    if (!fs.existsSync(logPath)) return ts;
+    const fd = fs.openSync(logPath, "r");
+    const buf = Buffer.alloc(256);
+    const n = fs.readSync(fd, buf, 0, buf.length, 0);
+    fs.closeSync(fd);
+    const m = /"ts":(\d+)/.exec(buf.toString("utf8", 0, n));
+    if (m) ts = Number(m[1]);
+    return ts;
+  }
+
+  // Drop records older than maxAgeDays, then all but the newest
+  // maxRecords. Records are appended in time order, so both drop a prefix
+  // of the log; the rest is copied line by line and indexed at its new
+  // offset. Does nothing until the log is COMPACT_SLACK over maxRecords or
+  // its oldest record has expired (force skips that check).
+  function compact({ force = false } = {}) {
+    flush();
+    const minTs = Date.now() - cfg.retention.maxAgeDays * 86400000;
+    const oldest = oldestTs();
+    const over = records > cfg.retention.maxRecords * (1 + COMPACT_SLACK);
+    if (!force && !over && (oldest === null || oldest >= minTs)) return;
+
+    const tmp = `${logPath}.tmp`;
+    const fd = fs.openSync(tmp, "w");
+    const skip = records - cfg.retention.maxRecords;
+    let seen = 0;
+    let kept = 0;
+    let bytes = 0;
+    let batch = [];
+    clearIndex();
+    eachLine((line, pos, len) => {
+      seen += 1;
+      const r = parseLine(line);
+      if (!r || seen <= skip || r.ts < minTs) return;
+      indexLine(line, bytes);
+      bytes += len + 1;
+      batch.push(line);
+      kept += 1;
+      if (batch.length >= 1000) {
+        fs.writeSync(fd, batch.join("\n") + "\n");
+        batch = [];
+      }
+    });
+    if (batch.length) fs.writeSync(fd, batch.join("\n") + "\n");
+    fs.closeSync(fd);
+    fs.renameSync(tmp, logPath);
+    records = kept;
+    logBytes = bytes;
+    lastCompaction = { ts: new Date().toISOString(), dropped: seen - kept };
+  }
+
+  // state: any JSON-serialisable object
+  function writeSnapshot(state) {
+    if (!cfg.enabled) return;
+    flush();
+    const tmp = `${snapshotPath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ savedAt: Date.now(), state }));
+    fs.renameSync(tmp, snapshotPath);
+    lastSnapshotAt = new Date().toISOString();
+  }
+
+  // { state, savedAt, after: log records newer than the snapshot } or null
+  function load() {
+    if (!cfg.enabled || !fs.existsSync(snapshotPath)) return null;
+    try {
+      const { savedAt, state } = JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+      lastSnapshotAt = new Date(savedAt).toISOString();
+      return { state, savedAt, after: readLog((r) => r.ts > savedAt) };
+    } catch (e) {
+      console.error("Could not read snapshot, starting fresh:", e.message);
+      return null;
+    }
+  }
+
+  // getState() is called for every periodic snapshot
+  function start(getState) {
+    if (!cfg.enabled) return;
+    timers.push(setInterval(flush, cfg.flushEveryMs));
+    timers.push(
+      setInterval(() => {
+        compact();
+        writeSnapshot(getState());
+      }, cfg.snapshotEveryMs)
+    );
+    timers.forEach((t) => t.unref());
+  }
+
+  function stop(getState) {
+    timers.forEach(clearInterval);
+    timers.length = 0;
+    if (getState) writeSnapshot(getState());
+    else flush();
+  }
+
+  function status() {
+    return {
+      enabled: cfg.enabled,
+      dir: cfg.dir,
+      logRecords: records + pending.length,
+      logBytes,
+      lastSnapshotAt,
+      lastCompaction,
+      snapshotEveryMs: cfg.snapshotEveryMs,
+      retention: cfg.retention
+    };
+  }
+
+  return { append, flush, readLog, entries, lookup, read, compact, writeSnapshot, load, start, stop, status };
+}
+
+module.exports = {
+  PERSIST_DEFAULTS,
+  createStorage
+};
@@ -0,0 +1,798 @@
+// pipeline.js
+// The detection pipeline shared by server.js and run-experiment.js:
+// synthetic or replayed traffic, scoring against each device's profile and
+// calibrated threshold, metrics, drift adaptation, alerts with incident
+// correlation and playbook responses, quarantine and probation, and FL
+// rounds. It has no timers and does no I/O of its own: `append` receives
+// the log records, `broadcast` the live updates and `now` is the clock.
+// The server wires in its JSONL log, the WebSocket and Date.now; the
+// runner passes no-ops and a simulated clock.
+const { v4: uuidv4 } = require("uuid");
+const { AGGREGATORS, ADAPTIVE_DEFAULTS, ROBUST_DEFAULTS, randomWeights, runRound } = require("./fl");
+const {
+  DP_DEFAULTS,
+  DP_AGGREGATORS,
+  createAccountant,
+  accountantStep,
+  epsilonFor,
+  epsilonAfterStep,
+  privacySummary
+} = require("./privacy");
+const { SECAGG_DEFAULTS } = require("./secagg");
+const { createDriftState, updateDrift, driftSummary } = require("./drift");
+const { splitWindow, evaluate, maybeTrainDevice } = require("./model");
+const { classifyAttack, trueClassOf, createClassMatrix, classMetrics } = require("./classes");
+const { WINDOW_DEFAULTS, metricsFrom, windowMetrics } = require("./metrics");
+const { createRollups, addPoint } = require("./rollup");
+const {
+  CALIBRATION_DEFAULTS,
+  createCalibration,
+  currentThreshold,
+  observeCalibration,
+  calibrationSummary
+} = require("./calibration");
+const { createProfile, observeProfile, scoringBaseline } = require("./profile");
+const { ADAPTATION_DEFAULTS, createBaseline, startAdaptation, observeAdaptation } = require("./adaptation");
+const { random } = require("./random");
+const { newLifecycle } = require("./lifecycle");
+const { INCIDENT_DEFAULTS, correlate, closeStale } = require("./incident");
+const { PLAYBOOK_DEFAULTS, MAX_DURATION_MS, raiseSeverity, responseRecord, createResponder } = require("./playbook");
+
+// raw / 10s / 1m / 10m rollups of the charted metrics (see rollup.js)
+const TIMESERIES_METRICS = ["f1", "windowF1", "windowFpRate", "globalAccuracy"];
+
+// compact copies of recent scored events kept for ROC / PR curves and
+// windowed metrics
+const MAX_SCORED_EVENTS = 5000;
+
+// “normal” base traffic
+const basePackets = 200;
+const baseFailed = 1;
+const baseBytes = 10000;
+
+// static baseline a device is scored against while its profile warms up:
+// mean and spread of the simulator's benign traffic
+const DEFAULT_BASELINE_MEANS = { packetsPerSec: basePackets, failedAuth: baseFailed + 1.5, bytesOut: baseBytes };
+const DEFAULT_BASELINE_STDS = { packetsPerSec: 23, failedAuth: 0.9, bytesOut: 1155 };
+
+// a feature this many stds off its baseline scores 1
+const Z_SCALE = 8;
+
+function clampList(list, maxLen) {
+  if (list.length > maxLen) {
+    list.splice(maxLen);
+  }
+}
+
+// everything a sim reset starts over; lists are newest first unless noted
+function freshRun() {
+  return {
+    devices: [],
+    alerts: [],
+    telemetry: [],
+    environment: {
+      simulatorRunning: false,
+      mode: "synthetic", // synthetic | replay
+      attackType: "none",
+      attackLevel: 0,
+      attackTargets: null, // device ids the attack hits; null = all
+      driftLevel: 0
+    },
+    stats: {
+      totalEvents: 0,
+      TP: 0,
+      FP: 0,
+      TN: 0,
+      FN: 0,
+      precision: 0,
+      recall: 0,
+      f1: 0,
+      fpRate: 0,
+      // per-class confusion matrix: classMatrix[trueClass][predictedClass]
+      classMatrix: createClassMatrix(),
+      perClass: classMetrics(createClassMatrix())
+    },
+    globalModel: { round: 1, accuracy: 0.92, w: randomWeights() },
+    // per-round aggregation reports
+    flRounds: [],
+    // drift-adaptation events
+    adaptationLog: [],
+    // correlated alerts (see incident.js)
+    incidents: [],
+    // actions the playbooks took (see playbook.js)
+    responseLog: [],
+    // quarantine / release records
+    quarantineLog: [],
+    // RDP accountant for DP rounds on the current global model
+    privacy: createAccountant(),
+    lastAccuracyCost: null,
+    timeseries: createRollups(TIMESERIES_METRICS),
+    // oldest first, at most MAX_SCORED_EVENTS
+    scoredEvents: [],
+    // dataset replay in place of the synthetic generator: { source, config, next }
+    replay: null
+  };
+}
+
+// the full pipeline state: a fresh run plus the configs, which are kept
+// across sim resets
+function createSimState() {
+  return {
+    ...freshRun(),
+    flConfig: {
+      aggregator: "fedavg",
+      adaptive: { ...ADAPTIVE_DEFAULTS },
+      robust: { ...ROBUST_DEFAULTS },
+      dp: { ...DP_DEFAULTS },
+      secureAgg: { ...SECAGG_DEFAULTS }
+    },
+    adaptationPolicy: { ...ADAPTATION_DEFAULTS },
+    calibrationConfig: { ...CALIBRATION_DEFAULTS },
+    windowConfig: { ...WINDOW_DEFAULTS },
+    incidentConfig: { ...INCIDENT_DEFAULTS },
+    playbooks: { ...PLAYBOOK_DEFAULTS }
+  };
+}
+
+// sim: createSimState() output, read and updated in place (callers may
+// swap its fields, e.g. on a reset); newId makes record ids
+function createPipeline({ sim, append = () => {}, broadcast = () => {}, now = Date.now, newId = uuidv4 }) {
+  const isoNow = () => new Date(now()).toISOString();
+
+  function recalcMetrics() {
+    const { stats } = sim;
+    const { TP, FP, TN, FN } = stats;
+    stats.totalEvents = TP + FP + TN + FN;
+    Object.assign(stats, metricsFrom(stats));
+    stats.perClass = classMetrics(stats.classMatrix);
+  }
+
+  function pushTimeseriesPoint() {
+    const t = now();
+    const recent = windowMetrics(sim.scoredEvents, sim.windowConfig, t).lastEvents;
+    addPoint(sim.timeseries, t, {
+      f1: sim.stats.f1,
+      windowF1: recent.f1,
+      windowFpRate: recent.fpRate,
+      globalAccuracy: sim.globalModel.accuracy
+    });
+  }
+
+  // devices without their (large) training window, for API + WS payloads
+  function deviceView(d) {
+    const { window, drift, adaptation, profile, calibration, ...rest } = d;
+    return {
+      ...rest,
+      calibration: calibrationSummary(calibration, sim.calibrationConfig),
+      windowSize: window ? window.length : 0,
+      profileSamples: profile.n,
+      profileWarmup: profile.warmup,
+      adapting: Boolean(adaptation),
+      driftDetector: drift.detector,
+      driftState: drift.state,
+      driftFeature: drift.feature,
+      driftFiredAt: drift.firedAt
+    };
+  }
+
+  function listDeviceViews() {
+    return sim.devices.map(deviceView);
+  }
+
+  // accuracy of a global weight vector on the pooled local holdouts
+  function evaluateGlobal(w) {
+    const holdout = sim.devices
+      .filter((d) => !d.quarantined)
+      .flatMap((d) => splitWindow(d.window || []).holdout);
+    return evaluate(w, holdout);
+  }
+
+  function broadcastModelUpdate() {
+    broadcast("model_update", { globalModel: sim.globalModel });
+  }
+
+  function broadcastCalibration(dev) {
+    broadcast("calibration_event", {
+      deviceId: dev.id,
+      deviceName: dev.name,
+      calibration: calibrationSummary(dev.calibration, sim.calibrationConfig)
+    });
+    broadcast("device_updated", { device: deviceView(dev) });
+  }
+
+  // record one drift-adaptation step and push it (and the device) to clients
+  function logAdaptation(dev, action, detail) {
+    const entry = {
+      id: newId(),
+      ts: isoNow(),
+      deviceId: dev.id,
+      deviceName: dev.name,
+      action,
+      detail
+    };
+    sim.adaptationLog.unshift(entry);
+    clampList(sim.adaptationLog, 200);
+    append("adaptation", entry);
+    broadcast("adaptation_event", { event: entry });
+    broadcast("device_updated", { device: deviceView(dev) });
+  }
+
+  // -------------- Devices -----------------
+  function createDevice({ name, model, dataSize, localAccuracy }) {
+    return {
+      id: newId(),
+      name: name || `IoT Device ${sim.devices.length + 1}`,
+      model: model || "Lightweight Model",
+      driftScore: 0,
+      localAccuracy: Number.isFinite(localAccuracy) ? localAccuracy : 0.9,
+      dataSize: Number.isFinite(dataSize) ? dataSize : 2000,
+      localW: randomWeights(),
+      window: [],
+      maxWindow: 200,
+      drift: createDriftState(),
+      baseline: createBaseline(DEFAULT_BASELINE_MEANS, DEFAULT_BASELINE_STDS),
+      profile: createProfile(),
+      calibration: createCalibration(),
+      confusion: { TP: 0, FP: 0, TN: 0, FN: 0 },
+      adaptation: null,
+      flRequested: false,
+      trainSize: 0,
+      lastTrainedAt: null,
+      poison: null,
+      quarantined: false,
+      quarantine: null,  // { by, reason, since, until, probationEvents } while quarantined
+      probation: null,   // { by, remaining, durationMs } after an automated release
+      flExcluded: null,  // { by, until } while a playbook keeps it out of FL
+      lastSeen: null
+    };
+  }
+
+  function seedDevices() {
+    if (sim.devices.length > 0) return;
+    sim.devices = [
+      createDevice({ name: "IoT Cam 1", model: "1D CNN", localAccuracy: 0.93, dataSize: 2400 }),
+      createDevice({ name: "Router GW 1", model: "GRU", localAccuracy: 0.91, dataSize: 4000 }),
+      createDevice({ name: "Sensor Node 7", model: "Autoencoder", localAccuracy: 0.90, dataSize: 1200 })
+    ];
+  }
+
+  // -------------- Scoring -----------------
+  // Score one sample for a device, update metrics, record + broadcast the
+  // event and any alert. Shared by the simulator and the ingestion API.
+  // trueLabel is "Attack" | "Normal", or anything else when it is not known;
+  // trueClass optionally names the attack (see classes.js).
+  function ingestTelemetry(dev, sample, trueLabel, trueClass) {
+    const { stats } = sim;
+    const packets = sample.packetsPerSec;
+    const failedAuth = sample.failedAuth;
+    const bytesOut = sample.bytesOut;
+
+    // ---- 4. Compute anomaly score vs the device's benign profile ----
+    // (its static baseline during warm-up; see profile.js)
+    const base = scoringBaseline(dev);
+    const z = {
+      packetsPerSec: (packets - base.packetsPerSec.mean) / base.packetsPerSec.std,
+      failedAuth: (failedAuth - base.failedAuth.mean) / base.failedAuth.std,
+      bytesOut: (bytesOut - base.bytesOut.mean) / base.bytesOut.std
+    };
+
+    let score = Math.max(...Object.values(z).map(Math.abs)) / Z_SCALE;
+
+    // add some random noise so we never get “perfect” behaviour
+    score += (random() - 0.5) * 0.15;
+    if (score < 0) score = 0;
+    if (score > 1) score = 1;
+
+    // ---- 5. Threshold: calibrated per device, or the fixed default ----
+    const threshold = currentThreshold(dev.calibration, sim.calibrationConfig);
+
+    const isAttack = score > threshold;
+    const predicted = isAttack ? "Attack" : "Normal";
+    const predictedClass = isAttack ? classifyAttack(z) : "Normal";
+    const labelClass = trueClassOf(trueLabel, trueClass);
+
+    // ---- 6. Update confusion matrix (labelled samples only) ----
+    if (trueLabel === "Attack" && predicted === "Attack") stats.TP++;
+    else if (trueLabel === "Attack" && predicted === "Normal") stats.FN++;
+    else if (trueLabel === "Normal" && predicted === "Attack") stats.FP++;
+    else if (trueLabel === "Normal" && predicted === "Normal") stats.TN++;
+    if (trueLabel === "Attack" || trueLabel === "Normal") {
+      const outcome = trueLabel === "Attack" ? (isAttack ? "TP" : "FN") : isAttack ? "FP" : "TN";
+      dev.confusion[outcome]++;
+    }
+    if (labelClass) stats.classMatrix[labelClass][predictedClass]++;
+
+    recalcMetrics();
+
+    // ---- 8. Record telemetry & alerts ----
+    const features = {
+      packetsPerSec: Math.max(0, Math.round(packets)),
+      failedAuth: Math.max(0, Math.round(failedAuth)),
+      bytesOut: Math.max(0, Math.round(bytesOut))
+    };
+
+    const event = {
+      id: newId(),
+      deviceId: dev.id,
+      deviceName: dev.name,
+      ts: isoNow(),
+      features,
+      score,
+      threshold,
+      predicted,
+      predictedClass,
+      trueLabel: trueLabel === "Attack" || trueLabel === "Normal" ? trueLabel : "Unknown",
+      trueClass: labelClass || "Unknown"
+    };
+    dev.lastSeen = event.ts;
+
+    // ---- 6a. Learn the benign profile ----
+    observeProfile(dev.profile, features, predicted, event.trueLabel);
+
+    // ---- 6b. Statistical drift detection on the device stream ----
+    const driftOut = updateDrift(dev.drift, features, event.ts);
+    dev.driftScore = driftOut.score;
+
+    // ---- 7. Local training on the device window ----
+    dev.window.push(event);
+    if (dev.window.length > dev.maxWindow) dev.window.shift();
+    maybeTrainDevice(dev);
+
+    // ---- 7b. Drift adaptation ----
+    if (driftOut.fired) {
+      startAdaptation(dev, event.ts);
+      logAdaptation(dev, "drift_confirmed", { feature: driftOut.fired, detector: dev.drift.detector });
+    }
+    for (const { action, detail } of observeAdaptation(dev, event, sim.adaptationPolicy)) {
+      logAdaptation(dev, action, detail);
+    }
+
+    // ---- 7c. Threshold calibration ----
+    const recalibrated = observeCalibration(dev.calibration, event, sim.calibrationConfig, {
+      driftFired: Boolean(driftOut.fired),
+      ts: event.ts
+    });
+    if (recalibrated) broadcastCalibration(dev);
+
+    sim.telemetry.unshift(event);
+    clampList(sim.telemetry, 200);
+    append("telemetry", event);
+    sim.scoredEvents.push({ ts: Date.parse(event.ts), deviceId: dev.id, score, threshold, predicted, trueLabel: event.trueLabel });
+    if (sim.scoredEvents.length > MAX_SCORED_EVENTS) sim.scoredEvents.shift();
+    broadcast("telemetry_event", { event });
+
+    if (dev.probation) observeProbation(dev, isAttack);
+
+    let alert = null;
+    if (isAttack) {
+      alert = {
+        id: newId(),
+        deviceId: dev.id,
+        deviceName: dev.name,
+        ts: event.ts,
+        severity: score > threshold + 0.25 ? "high" : "medium",
+        type: "anomaly",
+        attackClass: predictedClass,
+        score,
+        driftScore: dev.driftScore,
+        message: `Anomalous behaviour (${predictedClass}): packets=${features.packetsPerSec}, failedAuth=${features.failedAuth}, bytesOut=${features.bytesOut}`,
+        ...newLifecycle(event.ts)
+      };
+      alert = recordAlert(alert);
+    }
+
+    let driftAlert = null;
+    if (driftOut.fired) {
+      driftAlert = {
+        id: newId(),
+        deviceId: dev.id,
+        deviceName: dev.name,
+        ts: event.ts,
+        severity: "medium",
+        type: "drift",
+        score,
+        driftScore: dev.driftScore,
+        feature: driftOut.fired,
+        detector: dev.drift.detector,
+        message: `Concept drift on ${driftOut.fired} (${dev.drift.detector})`,
+        ...newLifecycle(event.ts)
+      };
+      driftAlert = recordAlert(driftAlert);
+      broadcast("drift_event", { deviceId: dev.id, drift: driftSummary(dev.drift) });
+    }
+
+    return { event, alert, driftAlert };
+  }
+
+  // Run the response playbooks on an alert, correlate it into an incident,
+  // then record it. A repeat that the incident only counted is logged with
+  // duplicateOf: <incidentId> but kept out of the live list and stream, which
+  // see it through the incident's counters. Alerts that triggered a response
+  // are never treated as repeats.
+  function recordAlert(alert) {
+    const responses = responder.observe(alert, sim.playbooks);
+    const { incident, created, duplicate } = correlate(sim.incidents, alert, sim.incidentConfig, {
+      keep: responses.length > 0
+    });
+    clampList(sim.incidents, 200);
+    // every change is logged so a restore keeps the running totals
+    append("incident", incident);
+    broadcast("incident_event", { action: created ? "opened" : "updated", incident });
+    alert.incidentId = incident.id;
+    if (duplicate) {
+      alert.duplicateOf = incident.id;
+      append("alert", alert);
+      return alert;
+    }
+    sim.alerts.unshift(alert);
+    clampList(sim.alerts, 200);
+    append("alert", alert);
+    broadcast("alert_event", { alert });
+    return alert;
+  }
+
+  // -------------- Quarantine -----------------
+  function logQuarantine(dev, action, { by, reason, until = null, discardedUpdate = false }) {
+    const record = {
+      id: newId(),
+      ts: isoNow(),
+      deviceId: dev.id,
+      deviceName: dev.name,
+      action, // quarantine | release
+      by,
+      reason,
+      until,
+      discardedUpdate
+    };
+    sim.quarantineLog.unshift(record);
+    clampList(sim.quarantineLog, 500);
+    append("quarantine", record);
+  }
+
+  // Quarantine until `until` (ISO) or indefinitely. The device leaves FL
+  // rounds, and its local update since the last round is discarded by
+  // resetting it to the global model. probationEvents > 0 watches that many
+  // scored events after an automatic release.
+  function quarantineDevice(dev, { by, reason, until = null, probationEvents = 0 }) {
+    const discardedUpdate = !dev.quarantined && Array.isArray(dev.localW);
+    if (discardedUpdate) {
+      dev.localW = sim.globalModel.w.slice();
+      dev.samplesSinceTrain = 0;
+      dev.flRequested = false;
+    }
+    dev.quarantined = true;
+    dev.quarantine = { by, reason, since: isoNow(), until, probationEvents };
+    dev.probation = null;
+    logQuarantine(dev, "quarantine", { by, reason, until, discardedUpdate });
+    broadcast("device_updated", { device: deviceView(dev) });
+  }
+
+  function releaseDevice(dev, { by, reason, probation = null }) {
+    dev.quarantined = false;
+    dev.quarantine = null;
+    dev.probation = probation;
+    logQuarantine(dev, "release", { by, reason });
+    broadcast("device_updated", { device: deviceView(dev) });
+  }
+
+  // -------------- Automated response (see playbook.js) -----------------
+  const responder = createResponder({ execute: executeResponse, onAction: logResponse });
+
+  function logResponse(record) {
+    sim.responseLog.unshift(record);
+    clampList(sim.responseLog, 200);
+    append("response_action", record);
+    broadcast("response_action", { action: record });
+  }
+
+  function executeResponse(action, { rule, alert }) {
+    const dev = sim.devices.find((d) => d.id === alert.deviceId);
+    if (!dev) throw new Error("device not found");
+    const by = `playbook:${rule.id}`;
+    // rules are parsed with capped durations; the cap also covers rules
+    // restored from snapshots written before it existed
+    const untilIn = (ms) => (ms ? new Date(now() + Math.min(ms, MAX_DURATION_MS)).toISOString() : null);
+
+    if (action.type === "quarantine") {
+      // e.g. sent back by its probation on this very alert
+      if (dev.quarantined) return "already quarantined";
+      const until = untilIn(action.durationMs);
+      quarantineDevice(dev, { by, reason: rule.name, until, probationEvents: action.probationEvents || 0 });
+      return `quarantined until ${until}`;
+    }
+    if (action.type === "raise_severity") {
+      const from = alert.severity;
+      alert.severity = raiseSeverity(from);
+      return `severity ${from} -> ${alert.severity}`;
+    }
+    if (action.type === "exclude_fl") {
+      dev.flExcluded = { by, until: untilIn(action.durationMs) };
+      broadcast("device_updated", { device: deviceView(dev) });
+      return dev.flExcluded.until ? `excluded from FL until ${dev.flExcluded.until}` : "excluded from FL";
+    }
+    // notify: the logged and broadcast record is the notification
+    return action.message || `${rule.name}: ${alert.deviceName} raised ${alert.severity} ${alert.type} alerts`;
+  }
+
+  // log an automated follow-up of the rule `by` ("playbook:<id>") names
+  function logFollowUp(dev, by, type, result) {
+    const rule = sim.playbooks.rules.find((r) => `playbook:${r.id}` === by);
+    logResponse(responseRecord({ rule, deviceId: dev.id, deviceName: dev.name, action: { type }, result }));
+  }
+
+  // lift quarantines and FL exclusions whose time is up
+  function expireResponses() {
+    const t = now();
+    for (const dev of sim.devices) {
+      const q = dev.quarantine;
+      if (dev.quarantined && q && q.until && Date.parse(q.until) <= t) {
+        const probation = q.probationEvents
+          ? { by: q.by, remaining: q.probationEvents, durationMs: Date.parse(q.until) - Date.parse(q.since) }
+          : null;
+        releaseDevice(dev, { by: "expiry", reason: `quarantine by ${q.by} expired`, probation });
+        if (q.by.startsWith("playbook:")) {
+          logFollowUp(dev, q.by, "release", probation ? `released on probation (${q.probationEvents} events)` : "released");
+        }
+      }
+      const fl = dev.flExcluded;
+      if (fl && fl.until && Date.parse(fl.until) <= t) {
+        dev.flExcluded = null;
+        logFollowUp(dev, fl.by, "include_fl", "back in FL rounds");
+        broadcast("device_updated", { device: deviceView(dev) });
+      }
+    }
+  }
+
+  // a released device stays out only while its scores stay normal
+  function observeProbation(dev, isAttack) {
+    const p = dev.probation;
+    if (isAttack) {
+      const until = new Date(now() + p.durationMs).toISOString();
+      quarantineDevice(dev, { by: p.by, reason: "anomalous during probation", until, probationEvents: p.remaining });
+      logFollowUp(dev, p.by, "quarantine", `anomalous during probation; quarantined until ${until}`);
+    } else if (--p.remaining === 0) {
+      dev.probation = null;
+      logFollowUp(dev, p.by, "release", "scores normal; probation over");
+    }
+  }
+
+  function closeQuietIncidents() {
+    for (const incident of closeStale(sim.incidents, now(), sim.incidentConfig)) {
+      append("incident", incident);
+      broadcast("incident_event", { action: "closed", incident });
+    }
+  }
+
+  // -------------- Traffic -----------------
+  // *** NEW: much more realistic scoring + labels ***
+  function generateSynthetic() {
+    const { environment } = sim;
+    sim.devices.forEach((dev) => {
+      if (dev.quarantined) return;
+
+      const drift = environment.driftLevel || 0;
+
+      // ---- 1. Start from drifted-but-normal behaviour ----
+      let packets =
+        basePackets +
+        (random() - 0.5) * 80 +           // random noise
+        drift * 80;                       // slow drift in packet rate
+
+      let failedAuth =
+        baseFailed +
+        random() * 3 +                    // random login failures
+        drift * 1.5;                      // drift can slightly increase failures
+
+      let bytesOut =
+        baseBytes +
+        (random() - 0.5) * 4000 +         // noise
+        drift * 4000;                     // drift in traffic volume
+
+      // ---- 2. Decide the TRUE label (Normal vs Attack) probabilistically ----
+      // devices outside the attack's targets only see background attacks
+      const targeted = !environment.attackTargets || environment.attackTargets.includes(dev.id);
+      const atkType = targeted ? environment.attackType : "none";
+      const level = environment.attackLevel || 0;
+
+      let trueLabel;
+      if (atkType === "none") {
+        // no attack configured -> very few real attacks (background noise)
+        trueLabel = random() < 0.05 ? "Attack" : "Normal";
+      } else {
+        // attack mode on -> majority are attacks, but not all
+        const baseProb = 0.15; // even under attack, some traffic is still normal
+        const extra = 0.55 * level;                          // 0..0.495
+        const pAttack = Math.min(0.9, baseProb + extra);     // cap at 0.9
+        trueLabel = random() < pAttack ? "Attack" : "Normal";
+      }
+
+      // ---- 3. Only distort the features if this sample is truly an attack ----
+      if (trueLabel === "Attack" && atkType !== "none") {
+        if (atkType === "port_scan") {
+          packets += level * 1000 + random() * 200;
+        } else if (atkType === "bruteforce") {
+          failedAuth += level * 20 + random() * 5;
+        } else if (atkType === "ddos") {
+          packets += level * 1500 + random() * 300;
+          bytesOut += level * 8000 + random() * 3000;
+        } else if (atkType === "exfiltration") {
+          bytesOut += level * 20000 + random() * 5000;
+        } else {
+          // generic
+          packets += level * 600;
+          failedAuth += level * 8;
+          bytesOut += level * 8000;
+        }
+      }
+
+      // ---- 4..8. Score, update metrics, record ----
+      // background attacks without a configured type carry no signature
+      const trueClass = trueLabel === "Attack" ? (atkType !== "none" ? atkType : "generic") : "Normal";
+      ingestTelemetry(dev, { packetsPerSec: packets, failedAuth, bytesOut }, trueLabel, trueClass);
+    });
+  }
+
+  // Feed the next rowsPerTick dataset records through the pipeline. Records
+  // go to devices round-robin, or by their device column when one is mapped.
+  // Returns how many were fed.
+  function ingestReplayRows() {
+    const { replay } = sim;
+    const active = sim.devices.filter((d) => !d.quarantined);
+    if (active.length === 0) return 0;
+
+    const records = replay.source.next(replay.config.rowsPerTick);
+    for (const rec of records) {
+      const dev =
+        rec.key !== undefined
+          ? active[hashKey(rec.key) % active.length]
+          : active[replay.next++ % active.length];
+      ingestTelemetry(dev, rec.features, rec.trueLabel, rec.trueClass);
+    }
+    return records.length;
+  }
+
+  function hashKey(key) {
+    let h = 0;
+    for (const ch of String(key)) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+    return h;
+  }
+
+  function finishTick() {
+    // ---- 9. Re-evaluate the global model on current local holdouts ----
+    const acc = evaluateGlobal(sim.globalModel.w);
+    if (acc !== null) sim.globalModel.accuracy = acc;
+
+    pushTimeseriesPoint();
+    closeQuietIncidents();
+    expireResponses();
+    broadcastModelUpdate();
+  }
+
+  // One simulator tick: a sample per active device, or the next dataset
+  // rows while a replay is loaded, then the per-tick upkeep.
+  // -> { replayed: rows fed (replay only), replayFinished }
+  function tick() {
+    if (sim.devices.length === 0) seedDevices();
+    const out = { replayed: 0, replayFinished: false };
+    if (sim.replay) {
+      out.replayed = ingestReplayRows();
+      out.replayFinished = sim.replay.source.finished();
+    } else {
+      generateSynthetic();
+    }
+    finishTick();
+    return out;
+  }
+
+  // -------------- Federated learning -----------------
+  // why a round with this aggregator cannot run now: { status, body } or null
+  function roundBlocker(aggregator) {
+    if (!AGGREGATORS.includes(aggregator)) {
+      return { status: 400, body: { ok: false, error: `unknown aggregator "${aggregator}"` } };
+    }
+    const { dp, secureAgg } = sim.flConfig;
+    if ((dp.enabled || secureAgg.enabled) && !DP_AGGREGATORS.includes(aggregator)) {
+      const mode = dp.enabled ? "DP" : "secure aggregation";
+      return {
+        status: 400,
+        body: { ok: false, error: `${mode} rounds support ${DP_AGGREGATORS.join(", ")} only` }
+      };
+    }
+    if (dp.enabled && secureAgg.enabled) {
+      return {
+        status: 400,
+        body: { ok: false, error: "DP and secure aggregation cannot be combined" }
+      };
+    }
+    if (dp.enabled && epsilonAfterStep(sim.privacy, dp.noiseMultiplier, dp.delta) > dp.targetEpsilon) {
+      return {
+        status: 409,
+        body: {
+          ok: false,
+          error: "privacy budget exhausted",
+          privacy: privacySummary(sim.privacy, dp, sim.lastAccuracyCost)
+        }
+      };
+    }
+    return null;
+  }
+
+  // One FL round over the current devices; { report }, or { blocker } when
+  // the round cannot run (see roundBlocker). aggregator overrides the
+  // configured strategy for this round only; dropouts lists device ids that
+  // drop out of a secure-aggregation round.
+  function executeFlRound({ aggregator: requested, dropouts: forced = [] } = {}) {
+    const { flConfig } = sim;
+    const aggregator = requested || flConfig.aggregator;
+    const blocker = roundBlocker(aggregator);
+    if (blocker) return { blocker };
+
+    const dp = flConfig.dp;
+    const dropouts = new Set(forced);
+    // random dropouts only matter to secure aggregation; drawing them
+    // otherwise would shift seeded runs. Devices that asked for this round
+    // (drift adaptation) are never dropped.
+    if (flConfig.secureAgg.enabled) {
+      sim.devices.forEach((d) => {
+        if (!d.flRequested && random() < flConfig.secureAgg.dropoutRate) dropouts.add(d.id);
+      });
+    }
+    if (sim.devices.length === 0) seedDevices();
+
+    const report = runRound({
+      devices: sim.devices,
+      globalModel: sim.globalModel,
+      evaluate: evaluateGlobal,
+      aggregator,
+      adaptive: flConfig.adaptive,
+      robust: flConfig.robust,
+      dp,
+      secureAgg: { ...flConfig.secureAgg, dropouts }
+    });
+
+    if (report.dp) {
+      accountantStep(sim.privacy, dp.noiseMultiplier);
+      report.dp.epsilon = Number(epsilonFor(sim.privacy, dp.delta).toFixed(4));
+      report.dp.delta = dp.delta;
+      sim.lastAccuracyCost = report.dp.accuracyCost;
+    }
+
+    sim.flRounds.unshift(report);
+    clampList(sim.flRounds, 50);
+    append("fl_round", report);
+
+    pushTimeseriesPoint();
+    broadcastModelUpdate();
+    broadcast("fl_round", { report });
+    return { report };
+  }
+
+  return {
+    deviceView,
+    listDeviceViews,
+    evaluateGlobal,
+    pushTimeseriesPoint,
+    broadcastModelUpdate,
+    broadcastCalibration,
+    createDevice,
+    seedDevices,
+    ingestTelemetry,
+    quarantineDevice,
+    releaseDevice,
+    expireResponses,
+    closeQuietIncidents,
+    tick,
+    executeFlRound,
+    // playbook cooldowns and burst windows; cleared by a sim reset
+    resetResponder: () => responder.reset()
+  };
+}
+
+module.exports = {
+  TIMESERIES_METRICS,
+  MAX_SCORED_EVENTS,
+  clampList,
+  freshRun,
+  createSimState,
+  createPipeline
+};
@@ -0,0 +1,219 @@
+// playbook.js
+// Automated responses to alerts. A rule fires for a device once enough
+// matching alerts from it arrive within a time window:
+//
+//   { id: "burst-quarantine", name?, enabled?, dryRun?, cooldownMs?,
+//     when: { minAlerts: 3, withinMs: 30000, severity?: ["high"], type?: ["anomaly"], attackClass?: ["ddos"] },
+//     actions: [
+//       { type: "quarantine", durationMs: 300000, probationEvents?: 5 },
+//       { type: "raise_severity" },
+//       { type: "exclude_fl", durationMs?: 600000 },
+//       { type: "notify", message?: "..." } ] }
+//
+// The responder only decides when a rule fires; what an action does is up
+// to the execute() callback it is created with. In dry-run mode actions
+// are logged but not executed.
+const { v4: uuidv4 } = require("uuid");
+
+const RESPONSE_ACTIONS = ["quarantine", "raise_severity", "exclude_fl", "notify"];
+const SEVERITIES = ["low", "medium", "high", "critical"];
+const MAX_DURATION_MS = 365 * 24 * 3600 * 1000; // keeps expiry dates representable
+
+const RULE_DEFAULTS = {
+  enabled: true,
+  dryRun: false,
+  cooldownMs: 60000 // per rule and device
+};
+
+const PLAYBOOK_DEFAULTS = {
+  enabled: false,
+  dryRun: false, // applies to every rule
+  rules: [
+    {
+      ...RULE_DEFAULTS,
+      id: "burst-quarantine",
+      name: "Quarantine on high-severity burst",
+      when: { minAlerts: 3, withinMs: 30000, severity: ["high"], type: ["anomaly"] },
+      actions: [
+        { type: "quarantine", durationMs: 300000, probationEvents: 5 },
+        { type: "notify" }
+      ]
+    }
+  ]
+};
+
+function isCount(v, min) {
+  return Number.isInteger(v) && v >= min;
+}
+
+function isDuration(v) {
+  return isCount(v, 1) && v <= MAX_DURATION_MS;
+}
+
+function isStringList(v) {
+  return Array.isArray(v) && v.every((x) => typeof x === "string");
+}
+
+// one raw rule -> { rule } with defaults applied, or { error }
+function parseRule(raw, i) {
+  const where = `rules[${i}]`;
+  if (!raw || typeof raw !== "object") return { error: `${where} must be an object` };
+  if (typeof raw.id !== "string" || !raw.id) return { error: `${where}.id must be a non-empty string` };
+  const rule = { ...RULE_DEFAULTS, name: raw.id, ...raw };
+  // Boolean("false") is true: a string would silently arm a rule
+  for (const key of ["enabled", "dryRun"]) {
+    if (typeof rule[key] !== "boolean") return { error: `${where}.${key} must be true or false` };
+  }
+  if (!isCount(rule.cooldownMs, 0)) return { error: `${where}.cooldownMs must be an integer >= 0` };
+
+  const when = rule.when || {};
+  if (!isCount(when.minAlerts, 1)) return { error: `${where}.when.minAlerts must be an integer >= 1` };
+  if (!isCount(when.withinMs, 1)) return { error: `${where}.when.withinMs must be an integer >= 1` };
+  for (const key of ["severity", "type", "attackClass"]) {
+    if (when[key] !== undefined && !isStringList(when[key])) {
+      return { error: `${where}.when.${key} must be a list of strings` };
+    }
+  }
+
+  if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+    return { error: `${where}.actions must be a non-empty list` };
+  }
+  for (const [j, a] of rule.actions.entries()) {
+    const at = `${where}.actions[${j}]`;
+    if (!a || !RESPONSE_ACTIONS.includes(a.type)) {
+      return { error: `${at}.type must be one of ${RESPONSE_ACTIONS.join(", ")}` };
+    }
+    const durationError = `${at}.durationMs must be an integer in 1..${MAX_DURATION_MS}`;
+    if (a.type === "quarantine" && !isDuration(a.durationMs)) return { error: durationError };
+    if (a.type === "exclude_fl" && a.durationMs !== undefined && !isDuration(a.durationMs)) {
+      return { error: durationError };
+    }
+    if (a.probationEvents !== undefined && !isCount(a.probationEvents, 0)) {
+      return { error: `${at}.probationEvents must be an integer >= 0` };
+    }
+    if (a.message !== undefined && typeof a.message !== "string") return { error: `${at}.message must be a string` };
+  }
+  return { rule };
+}
+
+// { enabled?, dryRun?, rules? } over the current config -> { config } or { error }
+function parsePlaybooks(raw, current = PLAYBOOK_DEFAULTS) {
+  const body = raw || {};
+  const config = { ...current };
+  for (const key of ["enabled", "dryRun"]) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== "boolean") return { error: `${key} must be true or false` };
+    config[key] = body[key];
+  }
+  if (body.rules !== undefined) {
+    if (!Array.isArray(body.rules)) return { error: "rules must be a list" };
+    const rules = [];
+    for (const [i, r] of body.rules.entries()) {
+      const { rule, error } = parseRule(r, i);
+      if (error) return { error };
+      if (rules.some((x) => x.id === rule.id)) return { error: `duplicate rule id "${rule.id}"` };
+      rules.push(rule);
+    }
+    config.rules = rules;
+  }
+  return { config };
+}
+
+function matches(when, a) {
+  return (
+    (!when.severity || when.severity.includes(a.severity)) &&
+    (!when.type || when.type.includes(a.type)) &&
+    (!when.attackClass || when.attackClass.includes(a.attackClass))
+  );
+}
+
+// one step up the severity ladder
+function raiseSeverity(severity) {
+  const i = SEVERITIES.indexOf(severity);
+  return SEVERITIES[Math.min(SEVERITIES.length - 1, i + 1)];
+}
+
+// a logged response; automated releases use the same shape
+function responseRecord({ rule, deviceId, deviceName, alertId = null, action, dryRun = false, result }) {
+  return {
+    id: uuidv4(),
+    ts: new Date().toISOString(),
+    ruleId: rule ? rule.id : null,
+    ruleName: rule ? rule.name : null,
+    deviceId,
+    deviceName,
+    alertId,
+    action: action.type,
+    params: action,
+    dryRun,
+    result
+  };
+}
+
+// execute(action, { rule, alert }) carries out one action and returns a
+// short result; it may throw, which is logged as a failure. onAction(record)
+// is called for every action taken (or skipped in dry-run mode).
+function createResponder({ execute, onAction = () => {} }) {
+  const recent = new Map();  // deviceId -> [{ ts, severity, type, attackClass }]
+  const firedAt = new Map(); // "ruleId:deviceId" -> ms
+
+  // Feed one alert before it is recorded, so actions may still change it.
+  // Returns the records of the actions taken.
+  function observe(alert, config) {
+    if (!config.enabled) return [];
+    const ts = Date.parse(alert.ts);
+    const longest = Math.max(0, ...config.rules.map((r) => r.when.withinMs));
+    const history = (recent.get(alert.deviceId) || []).filter((a) => ts - a.ts <= longest);
+    history.push({ ts, severity: alert.severity, type: alert.type, attackClass: alert.attackClass });
+    recent.set(alert.deviceId, history);
+
+    const records = [];
+    for (const rule of config.rules) {
+      if (!rule.enabled || !matches(rule.when, alert)) continue;
+      const n = history.filter((a) => ts - a.ts <= rule.when.withinMs && matches(rule.when, a)).length;
+      if (n < rule.when.minAlerts) continue;
+      const key = `${rule.id}:${alert.deviceId}`;
+      if (firedAt.has(key) && ts - firedAt.get(key) < rule.cooldownMs) continue;
+      firedAt.set(key, ts);
+
+      const dryRun = config.dryRun || rule.dryRun;
+      for (const action of rule.actions) {
+        let result;
+        try {
+          result = dryRun ? "dry run, not applied" : execute(action, { rule, alert });
+        } catch (e) {
+          result = `failed: ${e.message}`;
+        }
+        const record = responseRecord({
+          rule,
+          deviceId: alert.deviceId,
+          deviceName: alert.deviceName,
+          alertId: alert.id,
+          action,
+          dryRun,
+          result
+        });
+        records.push(record);
+        onAction(record);
+      }
+    }
+    return records;
+  }
+
+  function reset() {
+    recent.clear();
+    firedAt.clear();
+  }
+
+  return { observe, reset };
+}
+
+module.exports = {
+  RESPONSE_ACTIONS,
+  PLAYBOOK_DEFAULTS,
+  MAX_DURATION_MS,
+  parsePlaybooks,
+  raiseSeverity,
+  responseRecord,
+  createResponder
+};
@@ -0,0 +1,68 @@
+// poisoning.js
+// Simulated malicious FL clients. A device with `poison` set sends a
+// manipulated localW to the server instead of its honest one.
+const { featureVector, predictProba } = require("./model");
+
+// sign_flip / scale / backdoor act on the submitted update,
+// label_flip acts on local training (see model.trainDevice)
+const POISON_TYPES = ["sign_flip", "scale", "backdoor", "label_flip"];
+
+const POISON_DEFAULT_SCALE = {
+  sign_flip: 3,
+  scale: 10,
+  backdoor: 5,
+  label_flip: 1
+};
+
+// exfiltration-like sample the backdoor tries to get classified as Normal
+const BACKDOOR_TRIGGER = { packetsPerSec: 200, failedAuth: 0, bytesOut: 400000 };
+const BACKDOOR_TARGET_LOGIT = -6;
+
+function makePoison(type, scale) {
+  const s = Number(scale);
+  return {
+    type,
+    scale: Number.isFinite(s) && s > 0 ? s : POISON_DEFAULT_SCALE[type]
+  };
+}
+
+// weights with the trigger pushed to BACKDOOR_TARGET_LOGIT (min-norm change)
+function backdoorWeights(w) {
+  const x = featureVector(BACKDOOR_TRIGGER);
+  const xx = x.reduce((a, v) => a + v * v, 0);
+  const logit = w.reduce((a, v, i) => a + v * x[i], 0);
+  const delta = (BACKDOOR_TARGET_LOGIT - logit) / xx;
+  return w.map((v, i) => v + delta * x[i]);
+}
+
+// vector the device actually submits for aggregation
+function submittedWeights(device, globalW) {
+  const p = device.poison;
+  const local = device.localW;
+  if (!p || p.type === "label_flip") return local.slice();
+
+  const update = local.map((v, i) => v - globalW[i]);
+
+  if (p.type === "sign_flip") {
+    return globalW.map((g, i) => g - p.scale * update[i]);
+  }
+  if (p.type === "scale") {
+    return globalW.map((g, i) => g + p.scale * update[i]);
+  }
+  // backdoor: implant the trigger, then boost so it survives averaging
+  const implanted = backdoorWeights(local);
+  return globalW.map((g, i) => g + p.scale * (implanted[i] - g));
+}
+
+// P(attack) the global model assigns to the backdoor trigger
+function backdoorAttackProbability(w) {
+  return predictProba(w, BACKDOOR_TRIGGER);
+}
+
+module.exports = {
+  POISON_TYPES,
+  BACKDOOR_TRIGGER,
+  makePoison,
+  submittedWeights,
+  backdoorAttackProbability
+};
@@ -0,0 +1,107 @@
+// privacy.js
+// Differentially private FL rounds (DP-FedAvg style) and a Rényi-DP
+// accountant for the cumulative (epsilon, delta) spent across rounds.
+const { l2Norm } = require("./robust");
+const { randn } = require("./random");
+
+const DP_DEFAULTS = {
+  enabled: false,
+  clipNorm: 1.0,         // max L2 norm of one client's update
+  noiseMultiplier: 1.0,  // Gaussian std = noiseMultiplier * clipNorm on the weighted sum
+  delta: 1e-5,
+  targetEpsilon: 10      // budget; DP rounds are refused once it is spent
+};
+
+// weighted aggregators whose sensitivity is bounded by clipping
+const DP_AGGREGATORS = ["fedavg", "adaptive"];
+
+const RDP_ORDERS = [1.25, 1.5, 1.75, 2, 2.5, 3, 4, 5, 6, 8, 10, 12, 16, 20, 24, 32, 48, 64, 128, 256];
+
+// Clip each client's update to clipNorm, sum with weights scaled so the
+// largest is 1 (sensitivity of the sum stays clipNorm), add N(0, (z·C)^2)
+// and normalise. Returns the noisy vector and the noise-free one for
+// measuring the accuracy cost.
+function dpAggregate(clients, globalW, { clipNorm, noiseMultiplier }) {
+  const maxWeight = Math.max(...clients.map((c) => c.weight));
+  if (clients.length === 0 || !(maxWeight > 0)) return null;
+
+  const dim = globalW.length;
+  const sum = new Array(dim).fill(0);
+  let totalScale = 0;
+
+  const clipped = clients.map((c) => {
+    const update = c.w.map((x, i) => x - globalW[i]);
+    const norm = l2Norm(update);
+    const factor = norm > clipNorm ? clipNorm / norm : 1;
+    const scale = c.weight / maxWeight;
+    totalScale += scale;
+    update.forEach((u, i) => {
+      sum[i] += scale * factor * u;
+    });
+    return { norm, factor };
+  });
+
+  const sigma = noiseMultiplier * clipNorm;
+  const noisy = sum.map((x) => x + sigma * randn());
+
+  return {
+    w: globalW.map((g, i) => g + noisy[i] / totalScale),
+    wNoNoise: globalW.map((g, i) => g + sum[i] / totalScale),
+    clipped,
+    sigma,
+    noiseStd: sigma / totalScale
+  };
+}
+
+// ---- RDP accountant ----
+function createAccountant() {
+  return { rounds: 0, rdp: RDP_ORDERS.map(() => 0) };
+}
+
+// one full-participation Gaussian mechanism: RDP(α) = α / (2 z²)
+function accountantStep(acc, noiseMultiplier) {
+  acc.rounds += 1;
+  acc.rdp = acc.rdp.map((r, i) => r + RDP_ORDERS[i] / (2 * noiseMultiplier * noiseMultiplier));
+}
+
+// ε(δ) = min_α RDP(α) + log(1/δ) / (α - 1)
+function epsilonFor(acc, delta) {
+  if (acc.rounds === 0) return 0;
+  let best = Infinity;
+  acc.rdp.forEach((r, i) => {
+    const eps = r + Math.log(1 / delta) / (RDP_ORDERS[i] - 1);
+    if (eps < best) best = eps;
+  });
+  return best;
+}
+
+// epsilon after one more round with the given noise, without recording it
+function epsilonAfterStep(acc, noiseMultiplier, delta) {
+  const next = { rounds: acc.rounds, rdp: acc.rdp.slice() };
+  accountantStep(next, noiseMultiplier);
+  return epsilonFor(next, delta);
+}
+
+function privacySummary(acc, cfg, lastAccuracyCost) {
+  const epsilon = epsilonFor(acc, cfg.delta);
+  return {
+    enabled: cfg.enabled,
+    rounds: acc.rounds,
+    epsilon: Number(epsilon.toFixed(4)),
+    delta: cfg.delta,
+    targetEpsilon: cfg.targetEpsilon,
+    remainingEpsilon: Number(Math.max(0, cfg.targetEpsilon - epsilon).toFixed(4)),
+    lastAccuracyCost: lastAccuracyCost === null ? null : Number(lastAccuracyCost.toFixed(4))
+  };
+}
+
+module.exports = {
+  DP_DEFAULTS,
+  DP_AGGREGATORS,
+  dpAggregate,
+  createAccountant,
+  accountantStep,
+  epsilonFor,
+  epsilonAfterStep,
+  privacySummary
+};
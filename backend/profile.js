@@ -0,0 +1,90 @@
+// profile.js
+// Per-device benign traffic profile: running mean / variance of each
+// telemetry feature (Welford), learned online. Until the warm-up is over
+// the device is scored against its static baseline instead.
+
+const BASELINE_FEATURES = ["packetsPerSec", "failedAuth", "bytesOut"];
+
+const PROFILE_DEFAULTS = {
+  warmup: 50 // samples before the profile is used for scoring
+};
+
+function createProfile(warmup = PROFILE_DEFAULTS.warmup) {
+  const features = {};
+  for (const f of BASELINE_FEATURES) features[f] = { mean: 0, m2: 0 };
+  return { n: 0, warmup, features, resetAt: new Date().toISOString() };
+}
+
+function addSample(profile, sample) {
+  profile.n += 1;
+  for (const f of BASELINE_FEATURES) {
+    const x = Number(sample[f]) || 0;
+    const st = profile.features[f];
+    const d = x - st.mean;
+    st.mean += d / profile.n;
+    st.m2 += d * (x - st.mean);
+  }
+}
+
+function isWarm(profile) {
+  return Boolean(profile) && profile.n >= profile.warmup;
+}
+
+// Learn from one scored sample. During warm-up every sample not labelled
+// as an attack counts; afterwards only samples the scorer called benign.
+function observeProfile(profile, features, predicted, trueLabel) {
+  const benign = isWarm(profile) ? predicted === "Normal" : trueLabel !== "Attack";
+  if (benign) addSample(profile, features);
+  return benign;
+}
+
+// keep z-scores finite for near-constant features
+function stdOf(st, n) {
+  const std = n > 1 ? Math.sqrt(st.m2 / (n - 1)) : 0;
+  return Math.max(std, 0.05 * Math.abs(st.mean), 0.5);
+}
+
+// { feature: { mean, std } }, same shape as a static baseline
+function profileStats(profile) {
+  const out = {};
+  for (const f of BASELINE_FEATURES) {
+    const st = profile.features[f];
+    out[f] = { mean: st.mean, std: stdOf(st, profile.n) };
+  }
+  return out;
+}
+
+// what a device is scored against right now
+function scoringBaseline(device) {
+  return isWarm(device.profile) ? profileStats(device.profile) : device.baseline;
+}
+
+function profileSummary(profile) {
+  const features = {};
+  for (const f of BASELINE_FEATURES) {
+    const st = profile.features[f];
+    features[f] = {
+      mean: Number(st.mean.toFixed(3)),
+      std: Number(stdOf(st, profile.n).toFixed(3))
+    };
+  }
+  return {
+    samples: profile.n,
+    warmup: profile.warmup,
+    warmedUp: isWarm(profile),
+    resetAt: profile.resetAt,
+    features
+  };
+}
+
+module.exports = {
+  BASELINE_FEATURES,
+  PROFILE_DEFAULTS,
+  createProfile,
+  addSample,
+  isWarm,
+  observeProfile,
+  profileStats,
+  scoringBaseline,
+  profileSummary
+};
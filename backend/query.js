@@ -0,0 +1,91 @@
+// query.js
+// Sorting and cursor pagination for the history routes (/api/telemetry,
+// /api/alerts). Filtering stays in the routes; this module only orders
+// the matching records and cuts one page out of them.
+
+const QUERY_DEFAULTS = {
+  limit: 50,
+  maxLimit: 500
+};
+
+function encodeCursor(key, id) {
+  return Buffer.from(JSON.stringify([key, id])).toString("base64url");
+}
+
+// { key, id } or null when the cursor is malformed
+function decodeCursor(cursor) {
+  try {
+    const [key, id] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return typeof id === "string" ? { key, id } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// query -> { sort, order, limit, cursor } or { error }
+function parsePaging(query, sortKeys) {
+  const sort = query.sort || sortKeys[0];
+  if (!sortKeys.includes(sort)) return { error: `sort must be one of ${sortKeys.join(", ")}` };
+  const order = query.order || "desc";
+  if (order !== "asc" && order !== "desc") return { error: "order must be asc or desc" };
+  const limit = query.limit === undefined ? QUERY_DEFAULTS.limit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > QUERY_DEFAULTS.maxLimit) {
+    return { error: `limit must be an integer between 1 and ${QUERY_DEFAULTS.maxLimit}` };
+  }
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: "invalid cursor" };
+  }
+  return { sort, order, limit, cursor };
+}
+
+// records: [{ id, ... }] oldest first; keyOf(record, sort) -> number. Ties
+// on the sort key are broken by id, so the cursor (last key + id of the
+// previous page) stays valid while new records are appended.
+//
+// Nothing is sorted as a whole: one pass keeps the first limit + 1 records
+// after the cursor in a sorted buffer, so the cost is one comparison per
+// record plus a small insert. Walking the records in the requested
+// direction means a time-sorted page only ever appends to that buffer.
+function paginate(records, { sort, order, limit, cursor }, keyOf) {
+  const dir = order === "asc" ? 1 : -1;
+  const compare = (ka, ida, kb, idb) => {
+    if (ka !== kb) return ka < kb ? -dir : dir;
+    return ida < idb ? -dir : ida > idb ? dir : 0;
+  };
+
+  const page = []; // [{ key, r }] sorted, at most limit + 1 long
+  const n = records.length;
+  for (let i = 0; i < n; i++) {
+    const r = records[dir > 0 ? i : n - 1 - i];
+    const key = keyOf(r, sort);
+    if (cursor && compare(key, r.id, cursor.key, cursor.id) <= 0) continue;
+    const tail = page[page.length - 1];
+    if (page.length > limit && compare(key, r.id, tail.key, tail.r.id) >= 0) continue;
+    let lo = 0;
+    let hi = page.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (compare(page[mid].key, page[mid].r.id, key, r.id) < 0) lo = mid + 1;
+      else hi = mid;
+    }
+    page.splice(lo, 0, { key, r });
+    if (page.length > limit + 1) page.pop();
+  }
+
+  const more = page.length > limit;
+  if (more) page.pop();
+  const last = page[page.length - 1];
+  return {
+    items: page.map((k) => k.r),
+    total: n,
+    nextCursor: last && more ? encodeCursor(last.key, last.r.id) : null
+  };
+}
+
+module.exports = {
+  QUERY_DEFAULTS,
+  parsePaging,
+  paginate
+};
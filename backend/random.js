@@ -0,0 +1,74 @@
+// random.js
+// Single source of randomness for the simulation, detectors and FL code.
+// Math.random by default; seed() swaps in a deterministic PRNG so a run
+// (e.g. run-experiment.js) can be reproduced exactly.
+// Secure-aggregation secrets (secagg.js) use crypto unless seeded.
+
+let source = Math.random;
+let seeded = false;
+
+// mulberry32: small, fast, 32-bit state; plenty for simulation noise
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// numbers are used as-is, strings are hashed (FNV-1a)
+function seedValue(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// seed(null) goes back to Math.random
+function seed(value) {
+  seeded = value !== null && value !== undefined;
+  source = seeded ? createRng(seedValue(value)) : Math.random;
+}
+
+// fn: () => number in [0, 1)
+function setRandom(fn) {
+  source = fn;
+  seeded = fn !== Math.random;
+}
+
+function isSeeded() {
+  return seeded;
+}
+
+function random() {
+  return source();
+}
+
+// standard normal (Box-Muller)
+function randn() {
+  const u = 1 - source();
+  const v = 1 - source();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// 16 hex chars; deterministic under a seed, unlike crypto ids
+function randomId() {
+  return Math.floor(source() * 2 ** 32).toString(16).padStart(8, "0") +
+    Math.floor(source() * 2 ** 32).toString(16).padStart(8, "0");
+}
+
+module.exports = {
+  createRng,
+  seed,
+  setRandom,
+  isSeeded,
+  random,
+  randn,
+  randomId
+};
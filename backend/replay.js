@@ -0,0 +1,288 @@
+// replay.js
+// Replays a local CSV of labelled flow records (NSL-KDD, CIC-IDS style
+// exports, ...) as telemetry. A column mapping turns each record into the
+// { packetsPerSec, failedAuth, bytesOut } feature vector and a ground-truth
+// label; the file is read in chunks, so large exports are fine.
+const fs = require("fs");
+const path = require("path");
+const { StringDecoder } = require("string_decoder");
+const { ATTACK_CLASSES } = require("./classes");
+
+const FEATURES = ["packetsPerSec", "failedAuth", "bytesOut"];
+
+const REPLAY_DEFAULTS = {
+  header: true,      // first line holds column names
+  delimiter: ",",
+  rowsPerTick: 3,    // records ingested per simulator tick
+  loop: false,       // start over at the end of the file
+  scale: {},         // per-feature multiplier, e.g. { bytesOut: 0.001 }
+  benignLabels: ["normal", "benign"],
+  classMap: {}       // label value -> attack class; unmapped attacks are "generic"
+};
+
+// column mappings for common public datasets; columns are names or
+// 0-based indexes (for files without a header)
+const REPLAY_PRESETS = {
+  "nsl-kdd": {
+    header: false,
+    columns: { packetsPerSec: 22, failedAuth: 10, bytesOut: 4, label: 41 },
+    classMap: {
+      neptune: "ddos", smurf: "ddos", pod: "ddos", teardrop: "ddos", back: "ddos", land: "ddos",
+      apache2: "ddos", processtable: "ddos", mailbomb: "ddos", udpstorm: "ddos",
+      portsweep: "port_scan", ipsweep: "port_scan", nmap: "port_scan", satan: "port_scan",
+      mscan: "port_scan", saint: "port_scan",
+      guess_passwd: "bruteforce", ftp_write: "bruteforce", snmpguess: "bruteforce",
+      httptunnel: "exfiltration", warezmaster: "exfiltration", warezclient: "exfiltration"
+    }
+  },
+  "cic-ids": {
+    header: true,
+    columns: { packetsPerSec: "Flow Packets/s", bytesOut: "Total Length of Fwd Packets", label: "Label" },
+    classMap: {
+      ddos: "ddos", "dos hulk": "ddos", "dos goldeneye": "ddos", "dos slowloris": "ddos",
+      "dos slowhttptest": "ddos", portscan: "port_scan", "ftp-patator": "bruteforce",
+      "ssh-patator": "bruteforce", infiltration: "exfiltration"
+    }
+  }
+};
+
+const CHUNK_BYTES = 64 * 1024;
+
+// one CSV line -> fields (double quotes may wrap fields and escape "")
+function splitCsvLine(line, delimiter) {
+  const out = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      out.push(field);
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  out.push(field);
+  return out;
+}
+
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === "object" && !Array.isArray(v);
+}
+
+// raw config -> { config } with defaults and preset applied, or { error };
+// a relative path is resolved against baseDir. With `within`, the file
+// must lie inside that directory; this is checked before the file system
+// is touched, so errors say nothing about files outside it.
+function parseReplayConfig(raw, baseDir, { within } = {}) {
+  if (!raw || typeof raw.path !== "string") return { error: "replay.path must name a CSV file" };
+  let preset = {};
+  if (raw.preset !== undefined) {
+    preset = REPLAY_PRESETS[raw.preset];
+    if (!preset) return { error: `replay.preset must be one of ${Object.keys(REPLAY_PRESETS).join(", ")}` };
+  }
+  for (const key of ["columns", "classMap", "scale"]) {
+    if (raw[key] !== undefined && !isPlainObject(raw[key])) return { error: `replay.${key} must be an object` };
+  }
+  const cfg = {
+    ...REPLAY_DEFAULTS,
+    ...preset,
+    ...raw,
+    columns: { ...(preset.columns || {}), ...(raw.columns || {}) },
+    classMap: { ...(preset.classMap || {}), ...(raw.classMap || {}) },
+    scale: { ...(raw.scale || {}) },
+    path: path.resolve(baseDir, raw.path)
+  };
+
+  if (within !== undefined) {
+    const rel = path.relative(path.resolve(within), cfg.path);
+    if (rel.startsWith("..") || path.isAbsolute(rel)) return { error: `replay files must be inside ${within}` };
+  }
+  if (!fs.existsSync(cfg.path) || !fs.statSync(cfg.path).isFile()) return { error: `no such file: ${raw.path}` };
+  if (!Number.isInteger(cfg.rowsPerTick) || cfg.rowsPerTick < 1 || cfg.rowsPerTick > 500) {
+    return { error: "replay.rowsPerTick must be an integer in 1..500" };
+  }
+  if (!FEATURES.some((f) => cfg.columns[f] !== undefined)) {
+    return { error: `replay.columns must map at least one of ${FEATURES.join(", ")}` };
+  }
+  for (const [key, col] of Object.entries(cfg.columns)) {
+    const ok = typeof col === "string" ? cfg.header : Number.isInteger(col) && col >= 0;
+    if (!ok) return { error: `replay.columns.${key} must be a column index${cfg.header ? " or name" : ""}` };
+  }
+  for (const [f, k] of Object.entries(cfg.scale)) {
+    if (!FEATURES.includes(f)) return { error: `replay.scale keys must be among ${FEATURES.join(", ")}` };
+    if (typeof k !== "number" || !Number.isFinite(k) || k <= 0) {
+      return { error: `replay.scale.${f} must be a finite number > 0` };
+    }
+  }
+  for (const [label, cls] of Object.entries(cfg.classMap)) {
+    if (!ATTACK_CLASSES.includes(cls)) {
+      return { error: `replay.classMap.${label} must be one of ${ATTACK_CLASSES.join(", ")}` };
+    }
+  }
+  if (!Array.isArray(cfg.benignLabels)) return { error: "replay.benignLabels must be a list" };
+  cfg.benignLabels = cfg.benignLabels.map((l) => String(l).trim().toLowerCase());
+  cfg.classMap = Object.fromEntries(
+    Object.entries(cfg.classMap).map(([label, cls]) => [label.trim().toLowerCase(), cls])
+  );
+  return { config: cfg };
+}
+
+// cfg from parseReplayConfig. next(n) returns up to n records as
+// { features, trueLabel, trueClass, key } (key = optional device column).
+// Throws right away when the file is empty or lacks a mapped column.
+function createReplay(cfg) {
+  let fd = null;
+  let decoder = null; // keeps multi-byte characters split across chunks
+  let buffered = "";
+  let index = null;    // mapping key -> column index
+  let eof = false;
+  let rowsAtOpen = 0;
+  const counts = { rows: 0, skipped: 0, normal: 0, attack: 0, unlabelled: 0, passes: 0 };
+
+  function open() {
+    fd = fs.openSync(cfg.path, "r");
+    decoder = new StringDecoder("utf8");
+    buffered = "";
+    eof = false;
+    rowsAtOpen = counts.rows;
+    counts.passes += 1;
+    if (cfg.header) {
+      const header = readLine();
+      if (header === null) throw new Error("empty file");
+      const names = splitCsvLine(header, cfg.delimiter).map((h) => h.trim());
+      index = {};
+      for (const [key, col] of Object.entries(cfg.columns)) {
+        const i = typeof col === "number" ? col : names.indexOf(col.trim());
+        if (i < 0) throw new Error(`column "${col}" not found in header`);
+        index[key] = i;
+      }
+    } else {
+      index = { ...cfg.columns };
+    }
+  }
+
+  function readLine() {
+    while (true) {
+      const nl = buffered.indexOf("\n");
+      if (nl >= 0) {
+        const line = buffered.slice(0, nl).replace(/\r$/, "");
+        buffered = buffered.slice(nl + 1);
+        return line;
+      }
+      if (eof) {
+        if (!buffered) return null;
+        const last = buffered;
+        buffered = "";
+        return last;
+      }
+      const buf = Buffer.alloc(CHUNK_BYTES);
+      const n = fs.readSync(fd, buf, 0, CHUNK_BYTES, null);
+      if (n === 0) {
+        eof = true;
+        buffered += decoder.end();
+      } else {
+        buffered += decoder.write(buf.subarray(0, n));
+      }
+    }
+  }
+
+  function toRecord(fields) {
+    const features = {};
+    for (const f of FEATURES) {
+      if (index[f] === undefined) {
+        features[f] = 0;
+        continue;
+      }
+      const cell = String(fields[index[f]] ?? "").trim();
+      if (!cell) return null; // an empty cell is missing, not zero
+      const v = Number(cell) * (cfg.scale[f] ?? 1);
+      if (!Number.isFinite(v) || v < 0) return null;
+      features[f] = v;
+    }
+
+    let trueLabel = "Unknown";
+    let trueClass;
+    if (index.label !== undefined) {
+      const label = String(fields[index.label] ?? "").trim().toLowerCase().replace(/\.$/, "");
+      if (!label) return null;
+      if (cfg.benignLabels.includes(label)) {
+        trueLabel = "Normal";
+        trueClass = "Normal";
+      } else {
+        trueLabel = "Attack";
+        trueClass = cfg.classMap[label] || "generic";
+      }
+    }
+    const key = index.device !== undefined ? fields[index.device] : undefined;
+    return { features, trueLabel, trueClass, key };
+  }
+
+  function next(n) {
+    const out = [];
+    if (finished()) return out;
+    while (out.length < n) {
+      const line = readLine();
+      if (line === null) {
+        close();
+        if (!cfg.loop || counts.rows === rowsAtOpen) break; // a pass with no usable rows
+        open();
+        continue;
+      }
+      if (!line.trim()) continue;
+      const rec = toRecord(splitCsvLine(line, cfg.delimiter));
+      if (!rec) {
+        counts.skipped += 1;
+        continue;
+      }
+      counts.rows += 1;
+      if (rec.trueLabel === "Normal") counts.normal += 1;
+      else if (rec.trueLabel === "Attack") counts.attack += 1;
+      else counts.unlabelled += 1;
+      out.push(rec);
+    }
+    return out;
+  }
+
+  // true once a non-looping replay has read its whole file
+  function finished() {
+    return !cfg.loop && fd === null && counts.passes > 0;
+  }
+
+  function close() {
+    if (fd !== null) fs.closeSync(fd);
+    fd = null;
+  }
+
+  function status() {
+    return {
+      path: cfg.path,
+      preset: cfg.preset || null,
+      rowsPerTick: cfg.rowsPerTick,
+      loop: cfg.loop,
+      finished: finished(),
+      ...counts
+    };
+  }
+
+  open(); // header problems surface here rather than on the first tick
+  return { next, finished, close, status };
+}
+
+module.exports = {
+  REPLAY_DEFAULTS,
+  REPLAY_PRESETS,
+  parseReplayConfig,
+  createReplay
+};
@@ -0,0 +1,180 @@
+// robust.js
+// Byzantine-robust aggregation rules. Each takes the submitted client
+// vectors and returns the aggregate plus a per-client decision, so round
+// reports can show who was rejected or down-weighted and why.
+
+function l2Norm(v) {
+  return Math.sqrt(v.reduce((a, x) => a + x * x, 0));
+}
+
+function subtract(a, b) {
+  return a.map((x, i) => x - b[i]);
+}
+
+function weightedMean(clients) {
+  const total = clients.reduce((a, c) => a + c.weight, 0);
+  const out = new Array(clients[0].w.length).fill(0);
+  for (const c of clients) {
+    const k = total > 0 ? c.weight / total : 1 / clients.length;
+    c.w.forEach((x, i) => {
+      out[i] += k * x;
+    });
+  }
+  return out;
+}
+
+const ROBUST_DEFAULTS = {
+  trimRatio: 0.2,  // trimmed mean: fraction cut from each end per coordinate
+  byzantine: 1,    // Krum: assumed number of malicious clients (f)
+  multiKrumM: 0,   // Multi-Krum: clients kept; 0 = n - f
+  clipNorm: 0      // norm clipping: max update L2 norm; 0 = median update norm
+};
+
+// a client that is the min or max on (almost) every coordinate is treated
+// as rejected; honest clients are extreme on ~2/n of them
+const REJECT_EXTREME_FRACTION = 0.9;
+
+function median(values) {
+  const s = values.slice().sort((a, b) => a - b);
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+function coordinateDecisions(trimmedCounts, extremeCounts, dim) {
+  return trimmedCounts.map((count, k) => {
+    const trimmedFraction = count / dim;
+    const extremeFraction = extremeCounts[k] / dim;
+    return {
+      influence: 1 - trimmedFraction,
+      status:
+        extremeFraction >= REJECT_EXTREME_FRACTION
+          ? "rejected"
+          : trimmedFraction > 0
+            ? "downweighted"
+            : "accepted",
+      detail:
+        `trimmed on ${(trimmedFraction * 100).toFixed(0)}% of coordinates, ` +
+        `extreme on ${(extremeFraction * 100).toFixed(0)}%`
+    };
+  });
+}
+
+// Per coordinate, keep the values ranked [lo, hi) and average them.
+// Counts, per client, how many coordinates dropped its value and on how
+// many it was the smallest or largest.
+function coordinateWise(clients, keep) {
+  const n = clients.length;
+  const dim = clients[0].w.length;
+  const out = new Array(dim).fill(0);
+  const trimmed = new Array(n).fill(0);
+  const extreme = new Array(n).fill(0);
+
+  for (let i = 0; i < dim; i++) {
+    const order = clients.map((c, k) => k).sort((a, b) => clients[a].w[i] - clients[b].w[i]);
+    const [lo, hi] = keep(n);
+    let sum = 0;
+    order.forEach((k, rank) => {
+      if (rank >= lo && rank < hi) sum += clients[k].w[i];
+      else trimmed[k]++;
+      if (n > 2 && (rank === 0 || rank === n - 1)) extreme[k]++;
+    });
+    out[i] = sum / (hi - lo);
+  }
+  return { w: out, decisions: coordinateDecisions(trimmed, extreme, dim) };
+}
+
+function coordinateMedian(clients) {
+  return coordinateWise(clients, (n) =>
+    n % 2 ? [(n - 1) / 2, (n + 1) / 2] : [n / 2 - 1, n / 2 + 1]
+  );
+}
+
+function trimmedMean(clients, { trimRatio }) {
+  return coordinateWise(clients, (n) => {
+    // never trim everything away
+    const k = Math.min(Math.floor(n * trimRatio), Math.floor((n - 1) / 2));
+    return [k, n - k];
+  });
+}
+
+// Krum score: sum of squared distances to the n - f - 2 nearest other clients
+function krumScores(clients, f) {
+  const n = clients.length;
+  const neighbours = Math.max(1, n - f - 2);
+  return clients.map((c, i) => {
+    const d = clients
+      .filter((_, j) => j !== i)
+      .map((o) => l2Norm(subtract(c.w, o.w)) ** 2)
+      .sort((a, b) => a - b);
+    return d.slice(0, neighbours).reduce((a, x) => a + x, 0);
+  });
+}
+
+function krum(clients, { byzantine, multiKrumM }, multi) {
+  const n = clients.length;
+  const f = Math.min(byzantine, Math.max(0, n - 1));
+  const scores = krumScores(clients, f);
+  const m = multi ? Math.max(1, Math.min(n, multiKrumM || n - f)) : 1;
+
+  const ranked = scores.map((s, i) => i).sort((a, b) => scores[a] - scores[b]);
+  const selected = new Set(ranked.slice(0, m));
+
+  const chosen = clients.filter((_, i) => selected.has(i));
+  const w = multi ? weightedMean(chosen) : chosen[0].w.slice();
+
+  const decisions = clients.map((c, i) => ({
+    influence: selected.has(i) ? (multi ? c.weight : 1) : 0,
+    status: selected.has(i) ? "accepted" : "rejected",
+    detail: `krum score ${scores[i].toFixed(4)} (rank ${ranked.indexOf(i) + 1}/${n})`
+  }));
+  return { w, decisions };
+}
+
+// clip each update (w - global) to clipNorm, then weighted average
+function normClip(clients, { clipNorm }, globalW) {
+  const norms = clients.map((c) => l2Norm(subtract(c.w, globalW)));
+  const tau = clipNorm > 0 ? clipNorm : median(norms);
+
+  const clipped = clients.map((c, i) => {
+    const factor = norms[i] > tau && norms[i] > 0 ? tau / norms[i] : 1;
+    return {
+      w: globalW.map((g, k) => g + factor * (c.w[k] - g)),
+      weight: c.weight,
+      factor
+    };
+  });
+
+  const decisions = clipped.map((c, i) => ({
+    influence: c.weight * c.factor,
+    status: c.factor < 1 ? "downweighted" : "accepted",
+    detail:
+      c.factor < 1
+        ? `update norm ${norms[i].toFixed(4)} clipped to ${tau.toFixed(4)}`
+        : `update norm ${norms[i].toFixed(4)} within ${tau.toFixed(4)}`
+  }));
+  return { w: weightedMean(clipped), decisions, clipNorm: tau };
+}
+
+const ROBUST_AGGREGATORS = {
+  median: (clients) => coordinateMedian(clients),
+  trimmed_mean: (clients, cfg) => trimmedMean(clients, cfg),
+  krum: (clients, cfg) => krum(clients, cfg, false),
+  multi_krum: (clients, cfg) => krum(clients, cfg, true),
+  norm_clip: (clients, cfg, globalW) => normClip(clients, cfg, globalW)
+};
+
+// clients: [{ w, weight }] -> { w, decisions[], ... } or null if no clients.
+// decisions[i] = { status: accepted|downweighted|rejected, detail, influence }
+function robustAggregate(name, clients, opts, globalW) {
+  if (clients.length === 0) return null;
+  const cfg = { ...ROBUST_DEFAULTS, ...opts };
+  return ROBUST_AGGREGATORS[name](clients, cfg, globalW);
+}
+
+module.exports = {
+  l2Norm,
+  subtract,
+  ROBUST_DEFAULTS,
+  ROBUST_AGGREGATORS,
+  robustAggregate
+};
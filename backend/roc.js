@@ -0,0 +1,94 @@
+// roc.js
+// ROC and precision-recall curves over retained scored events, plus the
+// operating point the detector actually ran at.
+
+// most points a curve is thinned to before it is returned
+const MAX_CURVE_POINTS = 200;
+
+function round4(x) {
+  return Number(x.toFixed(4));
+}
+
+// trapezoid area under (x, y) points sorted by x
+function trapezoid(points, xKey, yKey) {
+  let area = 0;
+  for (let i = 1; i < points.length; i++) {
+    area += ((points[i][xKey] - points[i - 1][xKey]) * (points[i][yKey] + points[i - 1][yKey])) / 2;
+  }
+  return area;
+}
+
+function thin(points) {
+  if (points.length <= MAX_CURVE_POINTS) return points;
+  const step = (points.length - 1) / (MAX_CURVE_POINTS - 1);
+  const out = [];
+  for (let i = 0; i < MAX_CURVE_POINTS; i++) out.push(points[Math.round(i * step)]);
+  return out;
+}
+
+// events: [{ score, trueLabel, predicted }]; only "Attack"/"Normal" labels
+// count. Returns null when either class is missing.
+function rocCurves(events) {
+  const labelled = events.filter((e) => e.trueLabel === "Attack" || e.trueLabel === "Normal");
+  const positives = labelled.filter((e) => e.trueLabel === "Attack").length;
+  const negatives = labelled.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  // sweep the threshold down through every distinct score
+  const sorted = labelled.slice().sort((a, b) => b.score - a.score);
+  const roc = [{ threshold: Infinity, fpr: 0, tpr: 0 }];
+  const pr = [];
+  let tp = 0;
+  let fp = 0;
+  let averagePrecision = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    if (sorted[i].trueLabel === "Attack") tp++;
+    else fp++;
+    if (i + 1 < sorted.length && sorted[i + 1].score === sorted[i].score) continue; // ties
+
+    const threshold = sorted[i].score;
+    const recall = tp / positives;
+    const precision = tp / (tp + fp);
+    const prevRecall = pr.length ? pr[pr.length - 1].recall : 0;
+    averagePrecision += (recall - prevRecall) * precision;
+    roc.push({ threshold, fpr: fp / negatives, tpr: recall });
+    pr.push({ threshold, recall, precision });
+  }
+
+  // where the detector actually operated (each event's own threshold)
+  const hit = (e, label, predicted) => e.trueLabel === label && e.predicted === predicted;
+  const opTp = labelled.filter((e) => hit(e, "Attack", "Attack")).length;
+  const opFp = labelled.filter((e) => hit(e, "Normal", "Attack")).length;
+  const thresholds = labelled.map((e) => e.threshold).filter(Number.isFinite);
+
+  return {
+    n: labelled.length,
+    positives,
+    negatives,
+    rocAuc: round4(trapezoid(roc, "fpr", "tpr")),
+    prAuc: round4(averagePrecision),
+    operatingPoint: {
+      threshold: thresholds.length
+        ? round4(thresholds.reduce((a, t) => a + t, 0) / thresholds.length)
+        : null,
+      fpr: round4(opFp / negatives),
+      tpr: round4(opTp / positives),
+      precision: opTp + opFp === 0 ? 0 : round4(opTp / (opTp + opFp)),
+      recall: round4(opTp / positives)
+    },
+    roc: thin(roc.slice(1)).map((p) => ({
+      threshold: round4(p.threshold),
+      fpr: round4(p.fpr),
+      tpr: round4(p.tpr)
+    })),
+    pr: thin(pr).map((p) => ({
+      threshold: round4(p.threshold),
+      recall: round4(p.recall),
+      precision: round4(p.precision)
+    }))
+  };
+}
+
+module.exports = {
+  rocCurves
+};
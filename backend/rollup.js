@@ -0,0 +1,90 @@
+// rollup.js
+// Multi-resolution timeseries: every point is kept raw for a while and
+// folded into 10s / 1m / 10m buckets holding min / mean / max per metric,
+// so long runs can be graphed end to end at a bounded point count.
+
+// bucketMs 0 = one bucket per point; keep = buckets retained per level
+const RESOLUTIONS = {
+  raw: { bucketMs: 0, keep: 1000 },
+  "10s": { bucketMs: 10000, keep: 2160 },    // 6 h
+  "1m": { bucketMs: 60000, keep: 1440 },     // 24 h
+  "10m": { bucketMs: 600000, keep: 1008 }    // 7 days
+};
+
+// the finest resolution with at most this many points in range wins
+const MAX_AUTO_POINTS = 300;
+
+function createRollups(metrics) {
+  const levels = {};
+  for (const name of Object.keys(RESOLUTIONS)) levels[name] = [];
+  return { metrics, startedAt: null, levels };
+}
+
+// t: epoch ms, values: { metric: number }
+function addPoint(rollups, t, values) {
+  if (rollups.startedAt === null) rollups.startedAt = t;
+  for (const [name, { bucketMs, keep }] of Object.entries(RESOLUTIONS)) {
+    const level = rollups.levels[name];
+    const start = bucketMs ? t - (t % bucketMs) : t;
+    let bucket = level[level.length - 1];
+    if (!bucket || bucketMs === 0 || bucket.t !== start) {
+      bucket = { t: start, n: 0, count: {}, sum: {}, min: {}, max: {} };
+      level.push(bucket);
+      if (level.length > keep) level.splice(0, level.length - keep);
+    }
+    bucket.n += 1;
+    for (const m of rollups.metrics) {
+      const v = values[m];
+      if (!Number.isFinite(v)) continue;
+      bucket.count[m] = (bucket.count[m] ?? 0) + 1;
+      bucket.sum[m] = (bucket.sum[m] ?? 0) + v;
+      bucket.min[m] = Math.min(bucket.min[m] ?? v, v);
+      bucket.max[m] = Math.max(bucket.max[m] ?? v, v);
+    }
+  }
+}
+
+function inRange(level, from, to) {
+  return level.filter((b) => (from === undefined || b.t >= from) && (to === undefined || b.t <= to));
+}
+
+// Finest level that still reaches back to `from` (or to the start of the
+// run) and has at most MAX_AUTO_POINTS buckets in range.
+function pickResolution(rollups, from, to) {
+  const names = Object.keys(RESOLUTIONS);
+  const since = Math.max(from ?? -Infinity, rollups.startedAt ?? -Infinity);
+  for (const name of names) {
+    const level = rollups.levels[name];
+    const reachesBack = level.length === 0 || level[0].t <= since;
+    if (reachesBack && inRange(level, from, to).length <= MAX_AUTO_POINTS) return name;
+  }
+  return names[names.length - 1];
+}
+
+function round4(x) {
+  return Number.isFinite(x) ? Number(x.toFixed(4)) : null;
+}
+
+// -> { t: [], <metric>: [means], min: { <metric>: [] }, max: { <metric>: [] } }
+function rollupSeries(rollups, resolution, from, to) {
+  const buckets = inRange(rollups.levels[resolution], from, to);
+  const series = { t: buckets.map((b) => b.t) };
+  const min = {};
+  const max = {};
+  for (const m of rollups.metrics) {
+    // buckets from older snapshots have no per-metric count
+    series[m] = buckets.map((b) => round4(b.sum[m] / (b.count ? b.count[m] : b.n)));
+    min[m] = buckets.map((b) => round4(b.min[m]));
+    max[m] = buckets.map((b) => round4(b.max[m]));
+  }
+  return { ...series, min, max };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  MAX_AUTO_POINTS,
+  createRollups,
+  addPoint,
+  pickResolution,
+  rollupSeries
+};
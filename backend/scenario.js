@@ -0,0 +1,190 @@
+// scenario.js
+// Scripted attack / drift / FL timelines. A scenario is a list of steps
+// with an offset in seconds from its start:
+//
+//   { name?, steps: [
+//       { at: 30, action: "attack", type: "ddos", intensity: 0.7, devices?: ["IoT Cam 1"] },
+//       { at: 90, action: "drift", level: 0.8, from?: 0, over?: 60 },
+//       { at: 120, action: "fl_round", aggregator?: "fedavg" } ] }
+//
+// The runner only keeps time; what a step does is up to the execute()
+// callback it is created with. Steps with `over` > 0 are ramps: execute()
+// is called on every check with the fraction done, until it reaches 1.
+
+const SCENARIO_ACTIONS = ["attack", "drift", "fl_round"];
+const ATTACK_TYPES = ["none", "port_scan", "bruteforce", "ddos", "exfiltration", "generic"];
+
+const SCENARIO_DEFAULTS = {
+  checkEveryMs: 250,
+  maxSteps: 200
+};
+
+function isLevel(v) {
+  return typeof v === "number" && v >= 0 && v <= 1;
+}
+
+// step -> error message or null
+function stepError(s, i) {
+  const where = `steps[${i}]`;
+  if (!s || typeof s !== "object") return `${where} must be an object`;
+  if (typeof s.at !== "number" || !(s.at >= 0)) return `${where}.at must be seconds >= 0`;
+  if (!SCENARIO_ACTIONS.includes(s.action)) return `${where}.action must be one of ${SCENARIO_ACTIONS.join(", ")}`;
+  if (s.over !== undefined && (typeof s.over !== "number" || !(s.over >= 0))) {
+    return `${where}.over must be seconds >= 0`;
+  }
+  if (s.action === "attack") {
+    if (!ATTACK_TYPES.includes(s.type)) return `${where}.type must be one of ${ATTACK_TYPES.join(", ")}`;
+    if (s.intensity !== undefined && !isLevel(s.intensity)) return `${where}.intensity must be in [0, 1]`;
+    if (s.devices !== undefined && !(Array.isArray(s.devices) && s.devices.every((d) => typeof d === "string"))) {
+      return `${where}.devices must be a list of device ids or names`;
+    }
+  }
+  if (s.action === "drift") {
+    if (!isLevel(s.level)) return `${where}.level must be in [0, 1]`;
+    if (s.from !== undefined && !isLevel(s.from)) return `${where}.from must be in [0, 1]`;
+  }
+  if (s.action === "fl_round" && s.aggregator !== undefined && typeof s.aggregator !== "string") {
+    return `${where}.aggregator must be a string`;
+  }
+  return null;
+}
+
+// raw JSON -> { scenario } with steps sorted by `at`, or { error }
+function parseScenario(raw) {
+  if (!raw || !Array.isArray(raw.steps) || raw.steps.length === 0) {
+    return { error: "scenario needs a non-empty steps list" };
+  }
+  if (raw.steps.length > SCENARIO_DEFAULTS.maxSteps) {
+    return { error: `at most ${SCENARIO_DEFAULTS.maxSteps} steps` };
+  }
+  for (let i = 0; i < raw.steps.length; i++) {
+    const err = stepError(raw.steps[i], i);
+    if (err) return { error: err };
+  }
+  const steps = raw.steps
+    .map((s, i) => ({ ...s, index: i }))
+    .sort((a, b) => a.at - b.at || a.index - b.index);
+  return { scenario: { name: typeof raw.name === "string" ? raw.name : "scenario", steps } };
+}
+
+// execute(step, fraction, ctx) runs one step (ctx is a per-step scratch
+// object); it may throw, which marks the step failed. onChange(status)
+// is called whenever a step fires or the run changes state.
+function createScenarioRunner({ execute, onChange = () => {}, checkEveryMs = SCENARIO_DEFAULTS.checkEveryMs }) {
+  let run = null;
+  let timer = null;
+
+  function elapsedMs() {
+    if (!run) return 0;
+    return run.elapsedBefore + (run.state === "running" ? Date.now() - run.resumedAt : 0);
+  }
+
+  function fire(step, fraction) {
+    try {
+      execute(step, fraction, step.ctx);
+      if (step.status === "pending") {
+        step.status = fraction < 1 ? "running" : "done";
+        step.firedAt = Date.now();
+      } else if (fraction >= 1) {
+        step.status = "done";
+      }
+    } catch (e) {
+      step.status = "failed";
+      step.firedAt = step.firedAt ?? Date.now();
+      step.error = e.message;
+    }
+  }
+
+  function check() {
+    if (!run || run.state !== "running") return;
+    const t = elapsedMs() / 1000;
+    let changed = false;
+    for (const step of run.steps) {
+      if (step.status === "done" || step.status === "failed" || t < step.at) continue;
+      const wasPending = step.status === "pending";
+      fire(step, step.over ? Math.min(1, (t - step.at) / step.over) : 1);
+      if (wasPending || step.status !== "running") changed = true;
+    }
+    if (run.steps.every((s) => s.status === "done" || s.status === "failed")) {
+      finish("finished");
+    } else if (changed) {
+      onChange(status());
+    }
+  }
+
+  function finish(state) {
+    clearInterval(timer);
+    timer = null;
+    run.elapsedBefore = elapsedMs();
+    run.state = state;
+    run.endedAt = Date.now();
+    onChange(status());
+  }
+
+  function start(scenario) {
+    if (timer) clearInterval(timer);
+    run = {
+      name: scenario.name,
+      state: "running",
+      startedAt: Date.now(),
+      resumedAt: Date.now(),
+      elapsedBefore: 0,
+      endedAt: null,
+      steps: scenario.steps.map((s) => ({ ...s, status: "pending", firedAt: null, error: null, ctx: {} }))
+    };
+    timer = setInterval(check, checkEveryMs);
+    timer.unref();
+    onChange(status());
+    check(); // steps at t=0 fire right away
+  }
+
+  function isActive() {
+    return Boolean(run) && (run.state === "running" || run.state === "paused");
+  }
+
+  // false when there is nothing to pause / resume / abort
+  function pause() {
+    if (!run || run.state !== "running") return false;
+    run.elapsedBefore = elapsedMs();
+    run.state = "paused";
+    onChange(status());
+    return true;
+  }
+
+  function resume() {
+    if (!run || run.state !== "paused") return false;
+    run.resumedAt = Date.now();
+    run.state = "running";
+    onChange(status());
+    return true;
+  }
+
+  function abort() {
+    if (!isActive()) return false;
+    finish("aborted");
+    return true;
+  }
+
+  function status() {
+    if (!run) return { state: "idle", steps: [] };
+    const duration = Math.max(...run.steps.map((s) => s.at + (s.over || 0)));
+    return {
+      name: run.name,
+      state: run.state, // running | paused | finished | aborted
+      startedAt: run.startedAt,
+      endedAt: run.endedAt,
+      elapsed: Number((elapsedMs() / 1000).toFixed(1)),
+      duration,
+      steps: run.steps.map(({ ctx, ...s }) => s)
+    };
+  }
+
+  return { start, pause, resume, abort, isActive, status };
+}
+
+module.exports = {
+  SCENARIO_ACTIONS,
+  SCENARIO_DEFAULTS,
+  parseScenario,
+  createScenarioRunner
+};
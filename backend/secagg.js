@@ -0,0 +1,207 @@
+// secagg.js
+// Secure aggregation simulation (Bonawitz et al. style, one server).
+// Every pair of clients derives a shared seed by Diffie-Hellman; each adds
+// or subtracts the seed's mask so all masks cancel in the sum. Each client
+// also Shamir-shares its DH secret, so the server can remove the masks of
+// clients that drop out before sending their input.
+// Toy parameters: 61-bit field, not for real use.
+const crypto = require("crypto");
+const { isSeeded, random } = require("./random");
+
+const P = 2n ** 61n - 1n; // Mersenne prime, field for DH and Shamir
+const G = 3n;
+const MASK_RANGE = 1e6;   // mask entries uniform in [-MASK_RANGE, MASK_RANGE)
+
+const SECAGG_DEFAULTS = {
+  enabled: false,
+  threshold: 0,    // shares needed to rebuild a key; 0 = floor(n/2) + 1
+  dropoutRate: 0   // chance each client drops out after key sharing
+};
+
+function mod(a) {
+  const r = a % P;
+  return r < 0n ? r + P : r;
+}
+
+function modPow(base, exp) {
+  let result = 1n;
+  let b = mod(base);
+  let e = exp;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % P;
+    b = (b * b) % P;
+    e >>= 1n;
+  }
+  return result;
+}
+
+// crypto-random, or drawn from the seeded PRNG so seeded runs reproduce
+// (random.js); a seeded run's keys are predictable
+function randomScalar() {
+  if (isSeeded()) {
+    const hi = BigInt(Math.floor(random() * 2 ** 32));
+    const lo = BigInt(Math.floor(random() * 2 ** 32));
+    return mod((hi << 32n) | lo) || 1n;
+  }
+  return mod(BigInt("0x" + crypto.randomBytes(8).toString("hex"))) || 1n;
+}
+
+// ---- Shamir t-of-n over GF(P) ----
+function splitSecret(secret, n, t) {
+  const coeffs = [secret];
+  for (let k = 1; k < t; k++) coeffs.push(randomScalar());
+  const shares = [];
+  for (let x = 1n; x <= BigInt(n); x++) {
+    let y = 0n;
+    let xp = 1n;
+    for (const c of coeffs) {
+      y = mod(y + c * xp);
+      xp = mod(xp * x);
+    }
+    shares.push({ x, y });
+  }
+  return shares;
+}
+
+// Lagrange interpolation at 0
+function combineShares(shares) {
+  let secret = 0n;
+  for (const { x: xi, y: yi } of shares) {
+    let num = 1n;
+    let den = 1n;
+    for (const { x: xj } of shares) {
+      if (xj === xi) continue;
+      num = mod(num * xj);
+      den = mod(den * (xj - xi));
+    }
+    secret = mod(secret + yi * num * modPow(den, P - 2n));
+  }
+  return secret;
+}
+
+// ---- PRG: seed -> mask vector ----
+function maskVector(seed, dim) {
+  const out = new Array(dim);
+  for (let k = 0; k < dim; k++) {
+    const h = crypto.createHash("sha256").update(`${seed}:${k}`).digest();
+    out[k] = (h.readUInt32BE(0) / 2 ** 32) * 2 * MASK_RANGE - MASK_RANGE;
+  }
+  return out;
+}
+
+function preview(v) {
+  return v.slice(0, 3).map((x) => Number(x.toFixed(3)));
+}
+
+function norm(v) {
+  return Math.sqrt(v.reduce((a, x) => a + x * x, 0));
+}
+
+function cosine(a, b) {
+  const d = a.reduce((s, x, i) => s + x * b[i], 0);
+  const n = norm(a) * norm(b);
+  return n === 0 ? 0 : d / n;
+}
+
+// clients: [{ device, w, weight }], dropouts: Set of device ids that go
+// silent after key sharing. Returns { w, dropped, log }; w is null when too
+// few clients survive to rebuild the dropped keys, or a rebuilt key is wrong.
+function secureAggregate(clients, { threshold, dropouts }) {
+  const n = clients.length;
+  const t = Math.min(n, threshold > 0 ? threshold : Math.floor(n / 2) + 1);
+  const dim = clients[0].w.length + 1; // weighted vector + weight
+
+  // 1. key advertisement
+  const keys = clients.map(() => {
+    const sk = randomScalar();
+    return { sk, pk: modPow(G, sk) };
+  });
+
+  // 2. each client Shamir-shares its secret; share k goes to client k
+  const shares = keys.map((k) => splitSecret(k.sk, n, t));
+
+  // 3. masked input from the clients that are still online
+  const survivors = [];
+  const dropped = [];
+  clients.forEach((c, i) => (dropouts.has(c.device.id) ? dropped : survivors).push(i));
+
+  const plain = clients.map((c) => [...c.w.map((x) => c.weight * x), c.weight]);
+  const masked = {};
+  for (const i of survivors) {
+    const y = plain[i].slice();
+    for (let j = 0; j < n; j++) {
+      if (j === i) continue;
+      const m = maskVector(modPow(keys[j].pk, keys[i].sk), dim);
+      const sign = i < j ? 1 : -1;
+      m.forEach((v, k) => {
+        y[k] += sign * v;
+      });
+    }
+    masked[i] = y;
+  }
+
+  const log = {
+    keyAgreement: "Diffie-Hellman mod 2^61-1",
+    threshold: t,
+    pairwiseMasks: (n * (n - 1)) / 2,
+    clients: survivors.map((i) => ({
+      deviceName: clients[i].device.name,
+      maskedPreview: preview(masked[i]),
+      plainPreview: preview(plain[i]),
+      maskedNorm: Number(norm(masked[i]).toFixed(2)),
+      plainNorm: Number(norm(plain[i]).toFixed(4)),
+      // for the demo only: the server never has plain[i]
+      cosineMaskedVsPlain: Number(cosine(masked[i], plain[i]).toFixed(4))
+    })),
+    dropped: dropped.map((i) => clients[i].device.name),
+    recovered: [],
+    aborted: false
+  };
+
+  if (survivors.length < t) {
+    log.aborted = true;
+    log.reason = `${survivors.length} survivors < threshold ${t}`;
+    return { w: null, dropped: dropped.map((i) => clients[i].device.id), log };
+  }
+
+  // 4. server sums what it received
+  const sum = new Array(dim).fill(0);
+  for (const i of survivors) masked[i].forEach((v, k) => {
+    sum[k] += v;
+  });
+
+  // 5. survivors reveal shares of dropped keys; server strips their masks
+  for (const d of dropped) {
+    const sk = combineShares(survivors.slice(0, t).map((j) => shares[d][j]));
+    log.recovered.push({
+      deviceName: clients[d].device.name,
+      sharesUsed: t,
+      keyMatches: sk === keys[d].sk
+    });
+    for (const j of survivors) {
+      const m = maskVector(modPow(keys[j].pk, sk), dim);
+      const sign = j < d ? 1 : -1; // sign survivor j applied for pair (j, d)
+      m.forEach((v, k) => {
+        sum[k] -= sign * v;
+      });
+    }
+  }
+
+  if (log.recovered.some((r) => !r.keyMatches)) {
+    log.aborted = true;
+    log.reason = "a dropped client's key was rebuilt wrong; masks do not cancel";
+    return { w: null, dropped: dropped.map((i) => clients[i].device.id), log };
+  }
+
+  const totalWeight = sum[dim - 1];
+  const w = totalWeight > 0 ? sum.slice(0, dim - 1).map((x) => x / totalWeight) : null;
+  log.aggregatePreview = w ? preview(w) : null;
+  return { w, dropped: dropped.map((i) => clients[i].device.id), log };
+}
+
+module.exports = {
+  SECAGG_DEFAULTS,
+  splitSecret,
+  combineShares,
+  secureAggregate
+};
@@ -1,10 +1,38 @@
 // backend/server.js
-// Simple backend with simulator + WebSocket + stats
+// Simple backend with simulator + WebSocket + stats. The detection
+// pipeline itself lives in pipeline.js; this file holds the HTTP API, the
+// simulator timer, persistence and the WebSocket.
+const path = require("path");
 const express = require("express");
 const http = require("http");
 const cors = require("cors");
-const { v4: uuidv4 } = require("uuid");
 const WebSocket = require("ws");
+const { AGGREGATORS } = require("./fl");
+const { POISON_TYPES, makePoison } = require("./poisoning");
+const { privacySummary } = require("./privacy");
+const { DRIFT_DETECTORS, createDriftState, driftSummary } = require("./drift");
+const { CLASSES } = require("./classes");
+const { rocCurves } = require("./roc");
+const { metricsFrom, windowMetrics } = require("./metrics");
+const { createStorage } = require("./persistence");
+const { parsePaging, paginate } = require("./query");
+const { RESOLUTIONS, pickResolution, rollupSeries } = require("./rollup");
+const { calibrate, calibrationSummary } = require("./calibration");
+const { createProfile, scoringBaseline, profileSummary } = require("./profile");
+const { seed } = require("./random");
+const { parseScenario, createScenarioRunner } = require("./scenario");
+const { parseReplayConfig, createReplay } = require("./replay");
+const { TELEMETRY_COLUMNS, ALERT_COLUMNS, flattenTelemetry, sendRows, timeseriesRows } = require("./export");
+const { ALERT_STATES, transition, assign, noteError, addNote, lifecycleOf } = require("./lifecycle");
+const { MAX_DURATION_MS, parsePlaybooks } = require("./playbook");
+const {
+  TIMESERIES_METRICS,
+  MAX_SCORED_EVENTS,
+  clampList,
+  freshRun,
+  createSimState,
+  createPipeline
+} = require("./pipeline");
 
 const app = express();
 const server = http.createServer(app);
@@ -13,75 +41,65 @@ const wss = new WebSocket.Server({ server, path: "/ws" });
 app.use(cors());
 app.use(express.json());
 
+// IDS_SEED makes every random draw reproducible (see random.js)
+if (process.env.IDS_SEED) seed(process.env.IDS_SEED);
+
 // ---------------- In-memory state ----------------
-let devices = [];
-let alerts = [];
-let telemetry = [];
-
-let environment = {
-  simulatorRunning: false,
-  attackType: "none",
-  attackLevel: 0,
-  driftLevel: 0
-};
-
-let stats = {
-  totalEvents: 0,
-  TP: 0,
-  FP: 0,
-  TN: 0,
-  FN: 0,
-  precision: 0,
-  recall: 0,
-  f1: 0,
-  fpRate: 0
-};
-
-let globalModel = {
-  round: 1,
-  accuracy: 0.92
-};
-
-let timeseries = {
-  t: [],
-  f1: [],
-  globalAccuracy: []
-};
+// devices, alerts, metrics, FL state, configs, ... (see pipeline.js)
+const sim = createSimState();
+
+// replay files must live here (relative paths are resolved against it)
+const DATASET_DIR = process.env.IDS_DATASET_DIR || path.join(__dirname, "datasets");
 
 let simTimer = null;
+let simIntervalMs = 700;
 
-// -------------- Helper functions -----------------
-function clampList(list, maxLen) {
-  if (list.length > maxLen) {
-    list.splice(maxLen);
+// JSONL history + snapshots (see persistence.js); the index keeps the
+// fields the history filters and sorts use
+const storage = createStorage({
+  index: {
+    telemetry: ({ id, ts, deviceId, predicted, trueLabel, score }) => ({ id, ts, deviceId, predicted, trueLabel, score }),
+    alert: ({ id, ts, severity, type, deviceId, score, duplicateOf, state, assignee }) => ({
+      id, ts, severity, type, deviceId, score, duplicateOf, state, assignee
+    }),
+    alert_update: ({ id, lifecycle }) => ({ id, state: lifecycle.state, assignee: lifecycle.assignee }),
+    quarantine: ({ id, deviceId }) => ({ id, deviceId })
   }
-}
-
-function recalcMetrics() {
-  const { TP, FP, TN, FN } = stats;
-  const total = TP + FP + TN + FN;
-  stats.totalEvents = total;
-
-  stats.precision = TP + FP === 0 ? 0 : TP / (TP + FP);
-  stats.recall = TP + FN === 0 ? 0 : TP / (TP + FN);
-  stats.f1 =
-    stats.precision + stats.recall === 0
-      ? 0
-      : (2 * stats.precision * stats.recall) /
-        (stats.precision + stats.recall);
-  const negatives = TN + FP;
-  stats.fpRate = negatives === 0 ? 0 : FP / negatives;
-}
+});
 
-function pushTimeseriesPoint() {
-  const now = Date.now();
-  timeseries.t.push(now);
-  timeseries.f1.push(stats.f1);
-  timeseries.globalAccuracy.push(globalModel.accuracy);
+// the detection pipeline over that state, shared with run-experiment.js;
+// it logs through storage and pushes to the WebSocket clients
+const pipeline = createPipeline({ sim, append: (kind, data) => storage.append(kind, data), broadcast });
+const {
+  deviceView,
+  listDeviceViews,
+  pushTimeseriesPoint,
+  broadcastCalibration,
+  createDevice,
+  seedDevices,
+  ingestTelemetry,
+  quarantineDevice,
+  releaseDevice,
+  expireResponses,
+  closeQuietIncidents,
+  executeFlRound
+} = pipeline;
 
-  clampList(timeseries.t, 200);
-  clampList(timeseries.f1, 200);
-  clampList(timeseries.globalAccuracy, 200);
+// -------------- Helper functions -----------------
+// accepts { packetsPerSec, failedAuth, bytesOut, trueLabel?, trueClass? };
+// null if invalid. trueClass is "Normal" or an attack class and implies trueLabel.
+function parseSample(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const sample = {
+    packetsPerSec: Number(raw.packetsPerSec),
+    failedAuth: Number(raw.failedAuth),
+    bytesOut: Number(raw.bytesOut)
+  };
+  const valid = Object.values(sample).every((v) => Number.isFinite(v) && v >= 0);
+  if (!valid) return null;
+  if (raw.trueClass !== undefined && !CLASSES.includes(raw.trueClass)) return null;
+  const trueLabel = raw.trueClass ? (raw.trueClass === "Normal" ? "Normal" : "Attack") : raw.trueLabel;
+  return { sample, trueLabel, trueClass: raw.trueClass };
 }
 
 function broadcast(type, payload) {
@@ -95,213 +113,68 @@ function broadcast(type, payload) {
 
 function broadcastSnapshot() {
   const snapshot = {
-    devices,
-    environment,
-    stats,
-    globalModel,
-    alerts: alerts.slice(0, 80),
-    telemetry: telemetry.slice(0, 80)
+    devices: listDeviceViews(),
+    environment: sim.environment,
+    stats: sim.stats,
+    globalModel: sim.globalModel,
+    alerts: sim.alerts.slice(0, 80),
+    incidents: sim.incidents.slice(0, 50),
+    telemetry: sim.telemetry.slice(0, 80)
   };
   broadcast("snapshot", snapshot);
 }
 
 function broadcastSimStatus() {
-  broadcast("sim_status", { environment });
-}
-
-function broadcastModelUpdate() {
-  broadcast("model_update", { globalModel });
-}
-
-// -------------- Device + simulator logic ---------------
-function seedDevices() {
-  if (devices.length > 0) return;
-  devices = [
-    {
-      id: uuidv4(),
-      name: "IoT Cam 1",
-      model: "1D CNN",
-      driftScore: 0,
-      localAccuracy: 0.93,
-      quarantined: false
-    },
-    {
-      id: uuidv4(),
-      name: "Router GW 1",
-      model: "GRU",
-      driftScore: 0,
-      localAccuracy: 0.91,
-      quarantined: false
-    },
-    {
-      id: uuidv4(),
-      name: "Sensor Node 7",
-      model: "Autoencoder",
-      driftScore: 0,
-      localAccuracy: 0.90,
-      quarantined: false
-    }
-  ];
+  broadcast("sim_status", { environment: sim.environment });
 }
 
-// *** NEW: much more realistic scoring + labels ***
-function generateTelemetryTick() {
-  if (!environment.simulatorRunning) return;
-  if (devices.length === 0) seedDevices();
-
-  // “normal” base traffic
-  const basePackets = 200;
-  const baseFailed = 1;
-  const baseBytes = 10000;
-
-  devices.forEach((dev) => {
-    if (dev.quarantined) return;
-
-    const drift = environment.driftLevel || 0;
-
-    // ---- 1. Start from drifted-but-normal behaviour ----
-    let packets =
-      basePackets +
-      (Math.random() - 0.5) * 80 +      // random noise
-      drift * 80;                       // slow drift in packet rate
-
-    let failedAuth =
-      baseFailed +
-      Math.random() * 3 +               // random login failures
-      drift * 1.5;                      // drift can slightly increase failures
-
-    let bytesOut =
-      baseBytes +
-      (Math.random() - 0.5) * 4000 +    // noise
-      drift * 4000;                     // drift in traffic volume
-
-    dev.driftScore = drift;
-
-    // ---- 2. Decide the TRUE label (Normal vs Attack) probabilistically ----
-    let trueLabel;
-    if (environment.attackType === "none") {
-      // no attack configured -> very few real attacks (background noise)
-      trueLabel = Math.random() < 0.05 ? "Attack" : "Normal";
-    } else {
-      // attack mode on -> majority are attacks, but not all
-      const baseProb = 0.15; // even under attack, some traffic is still normal
-      const extra = 0.55 * (environment.attackLevel || 0); // 0..0.495
-      const pAttack = Math.min(0.9, baseProb + extra);     // cap at 0.9
-      trueLabel = Math.random() < pAttack ? "Attack" : "Normal";
-    }
-
-    // ---- 3. Only distort the features if this sample is truly an attack ----
-    const atkType = environment.attackType;
-    const level = environment.attackLevel || 0;
-
-    if (trueLabel === "Attack" && atkType !== "none") {
-      if (atkType === "port_scan") {
-        packets += level * 1000 + Math.random() * 200;
-      } else if (atkType === "bruteforce") {
-        failedAuth += level * 20 + Math.random() * 5;
-      } else if (atkType === "ddos") {
-        packets += level * 1500 + Math.random() * 300;
-        bytesOut += level * 8000 + Math.random() * 3000;
-      } else if (atkType === "exfiltration") {
-        bytesOut += level * 20000 + Math.random() * 5000;
-      } else {
-        // generic
-        packets += level * 600;
-        failedAuth += level * 8;
-        bytesOut += level * 8000;
-      }
-    }
-
-    // ---- 4. Compute anomaly score vs “expected” drifted baseline ----
-    const expectedPackets = basePackets + drift * 80;
-    const expectedFailed = baseFailed + drift * 1.5;
-    const expectedBytes = baseBytes + drift * 4000;
-
-    let score = 0;
-    score += Math.abs(packets - expectedPackets) / 400;   // packets sensitivity
-    score += Math.abs(failedAuth - expectedFailed) / 10;  // auth failures
-    score += Math.abs(bytesOut - expectedBytes) / 12000;  // bytes out
-
-    // add some random noise so we never get “perfect” behaviour
-    score += (Math.random() - 0.5) * 0.15;
-    if (score < 0) score = 0;
-    if (score > 1) score = 1;
-
-    // ---- 5. Dynamic threshold: slightly easier when drift is high ----
-    const thresholdBase = 0.55;
-    const threshold = thresholdBase - 0.1 * drift; // at drift=0.9 -> ~0.46
-
-    const isAttack = score > threshold;
-    const predicted = isAttack ? "Attack" : "Normal";
-
-    // ---- 6. Update confusion matrix ----
-    if (trueLabel === "Attack" && predicted === "Attack") stats.TP++;
-    else if (trueLabel === "Attack" && predicted === "Normal") stats.FN++;
-    else if (trueLabel === "Normal" && predicted === "Attack") stats.FP++;
-    else if (trueLabel === "Normal" && predicted === "Normal") stats.TN++;
-
-    recalcMetrics();
+// ids = device ids the attack is limited to, or null for all devices
+function setAttack(type, level, ids = null) {
+  sim.environment.attackType = type;
+  sim.environment.attackLevel = level;
+  sim.environment.attackTargets = type === "none" ? null : ids;
+  broadcastSimStatus();
+}
 
-    // ---- 7. Slightly nudge local model accuracy over time ----
-    dev.localAccuracy = Math.max(
-      0.7,
-      Math.min(0.99, dev.localAccuracy + (Math.random() - 0.5) * 0.01)
-    );
+function setDrift(level) {
+  sim.environment.driftLevel = level;
+  broadcastSimStatus();
+}
 
-    // ---- 8. Record telemetry & alerts ----
-    const features = {
-      packetsPerSec: Math.max(0, Math.round(packets)),
-      failedAuth: Math.max(0, Math.round(failedAuth)),
-      bytesOut: Math.max(0, Math.round(bytesOut))
-    };
-
-    const event = {
-      id: uuidv4(),
-      deviceId: dev.id,
-      deviceName: dev.name,
-      ts: new Date().toISOString(),
-      features,
-      score,
-      threshold,
-      predicted,
-      trueLabel
-    };
-    telemetry.unshift(event);
-    clampList(telemetry, 200);
-    broadcast("telemetry_event", { event });
-
-    if (isAttack) {
-      const alert = {
-        id: uuidv4(),
-        deviceId: dev.id,
-        deviceName: dev.name,
-        ts: event.ts,
-        severity: score > threshold + 0.25 ? "high" : "medium",
-        type: "anomaly",
-        score,
-        driftScore: dev.driftScore,
-        message: `Anomalous behaviour: packets=${features.packetsPerSec}, failedAuth=${features.failedAuth}, bytesOut=${features.bytesOut}`
-      };
-      alerts.unshift(alert);
-      clampList(alerts, 200);
-      broadcast("alert_event", { alert });
-    }
-  });
+// device ids or names -> { ids } or { error }
+function resolveDevices(refs) {
+  if (!Array.isArray(refs) || refs.length === 0) return { error: "devices must be a non-empty list" };
+  const ids = [];
+  for (const ref of refs) {
+    const dev = sim.devices.find((d) => d.id === ref || d.name === ref);
+    if (!dev) return { error: `unknown device "${ref}"` };
+    ids.push(dev.id);
+  }
+  return { ids };
+}
 
-  // ---- 9. Update global model accuracy a bit ----
-  const targetAcc = 0.90 + (environment.attackType === "none" ? 0.05 : -0.05);
-  globalModel.accuracy += (targetAcc - globalModel.accuracy) * 0.02;
-  globalModel.accuracy = Math.min(0.99, Math.max(0.7, globalModel.accuracy));
+// -------------- Simulator -----------------
+function generateTelemetryTick() {
+  if (!sim.environment.simulatorRunning) return;
+  const { replayFinished } = pipeline.tick();
+  if (replayFinished) {
+    stopSimulator();
+    broadcast("replay_status", { replay: sim.replay.source.status() });
+  }
+}
 
-  pushTimeseriesPoint();
-  broadcastModelUpdate();
+function closeReplay() {
+  if (sim.replay) sim.replay.source.close();
+  sim.replay = null;
+  sim.environment.mode = "synthetic";
 }
 
 function startSimulator(intervalMs) {
   if (simTimer) return;
   seedDevices();
-  environment.simulatorRunning = true;
-  simTimer = setInterval(generateTelemetryTick, intervalMs || 700);
+  sim.environment.simulatorRunning = true;
+  simIntervalMs = intervalMs || 700;
+  simTimer = setInterval(generateTelemetryTick, simIntervalMs);
   broadcastSimStatus();
   broadcastSnapshot();
 }
@@ -311,35 +184,122 @@ function stopSimulator() {
     clearInterval(simTimer);
     simTimer = null;
   }
-  environment.simulatorRunning = false;
+  sim.environment.simulatorRunning = false;
   broadcastSimStatus();
 }
 
 function resetSimulator() {
+  scenarioRunner.abort();
   stopSimulator();
-  devices = [];
-  alerts = [];
-  telemetry = [];
-  environment = {
-    simulatorRunning: false,
-    attackType: "none",
-    attackLevel: 0,
-    driftLevel: 0
+  closeReplay();
+  // configs are kept; everything else starts over
+  Object.assign(sim, freshRun());
+  pipeline.resetResponder();
+  storage.append("reset", {});
+  storage.writeSnapshot(persistentState());
+  broadcastSnapshot();
+}
+
+// -------------- Persistence -----------------
+// everything needed to resume after a restart; drift detectors hold
+// closures, so only their kind and params are kept and they restart empty
+function persistentState() {
+  return {
+    devices: sim.devices.map(({ drift, ...d }) => ({ ...d, drift: { detector: drift.detector, params: drift.params } })),
+    alerts: sim.alerts,
+    telemetry: sim.telemetry,
+    environment: sim.environment,
+    simIntervalMs,
+    stats: sim.stats,
+    globalModel: sim.globalModel,
+    flRounds: sim.flRounds,
+    flConfig: sim.flConfig,
+    privacy: sim.privacy,
+    lastAccuracyCost: sim.lastAccuracyCost,
+    adaptationPolicy: sim.adaptationPolicy,
+    adaptationLog: sim.adaptationLog,
+    calibrationConfig: sim.calibrationConfig,
+    windowConfig: sim.windowConfig,
+    incidents: sim.incidents,
+    incidentConfig: sim.incidentConfig,
+    playbooks: sim.playbooks,
+    responseLog: sim.responseLog,
+    quarantineLog: sim.quarantineLog,
+    timeseries: sim.timeseries,
+    scoredEvents: sim.scoredEvents
   };
-  stats = {
-    totalEvents: 0,
-    TP: 0,
-    FP: 0,
-    TN: 0,
-    FN: 0,
-    precision: 0,
-    recall: 0,
-    f1: 0,
-    fpRate: 0
+}
+
+function restoreState() {
+  const saved = storage.load();
+  if (!saved) return;
+  const st = saved.state;
+
+  sim.devices = st.devices.map((d) => ({ ...d, drift: createDriftState(d.drift.detector, d.drift.params) }));
+  // keys missing from an older snapshot keep their defaults
+  sim.alerts = st.alerts ?? sim.alerts;
+  sim.telemetry = st.telemetry ?? sim.telemetry;
+  sim.environment = st.environment ?? sim.environment;
+  simIntervalMs = st.simIntervalMs ?? simIntervalMs;
+  sim.stats = st.stats ?? sim.stats;
+  sim.globalModel = st.globalModel ?? sim.globalModel;
+  sim.flRounds = st.flRounds ?? sim.flRounds;
+  sim.flConfig = st.flConfig ?? sim.flConfig;
+  sim.privacy = st.privacy ?? sim.privacy;
+  sim.lastAccuracyCost = st.lastAccuracyCost ?? sim.lastAccuracyCost;
+  sim.adaptationPolicy = st.adaptationPolicy ?? sim.adaptationPolicy;
+  sim.adaptationLog = st.adaptationLog ?? sim.adaptationLog;
+  sim.calibrationConfig = st.calibrationConfig ?? sim.calibrationConfig;
+  sim.windowConfig = st.windowConfig ?? sim.windowConfig;
+  sim.incidents = st.incidents ?? sim.incidents;
+  sim.incidentConfig = st.incidentConfig ?? sim.incidentConfig;
+  sim.playbooks = st.playbooks ?? sim.playbooks;
+  sim.responseLog = st.responseLog ?? sim.responseLog;
+  sim.quarantineLog = st.quarantineLog ?? sim.quarantineLog;
+  // snapshots from before rollups hold flat lists; those are dropped
+  if (st.timeseries?.levels) sim.timeseries = st.timeseries;
+  sim.scoredEvents = st.scoredEvents ?? sim.scoredEvents;
+
+  // records logged after the snapshot (e.g. after a crash)
+  const lists = {
+    telemetry: sim.telemetry,
+    alert: sim.alerts,
+    fl_round: sim.flRounds,
+    adaptation: sim.adaptationLog,
+    response_action: sim.responseLog,
+    quarantine: sim.quarantineLog
   };
-  globalModel = { round: 1, accuracy: 0.92 };
-  timeseries = { t: [], f1: [], globalAccuracy: [] };
-  broadcastSnapshot();
+  for (const r of saved.after) {
+    if (r.kind === "reset") [...Object.values(lists), sim.incidents].forEach((list) => list.splice(0));
+    else if (r.kind === "incident") {
+      const i = sim.incidents.findIndex((inc) => inc.id === r.data.id);
+      if (i >= 0) sim.incidents[i] = r.data;
+      else sim.incidents.unshift(r.data);
+    } else if (r.kind === "alert" && r.data.duplicateOf) {
+      continue; // repeats are only logged (see recordAlert)
+    } else if (r.kind === "alert_update") {
+      const alert = sim.alerts.find((a) => a.id === r.data.id);
+      if (alert) Object.assign(alert, r.data.lifecycle);
+    } else if (lists[r.kind]) lists[r.kind].unshift(r.data);
+  }
+  [sim.telemetry, sim.alerts, sim.incidents, sim.adaptationLog, sim.responseLog].forEach((list) => clampList(list, 200));
+  clampList(sim.quarantineLog, 500);
+  clampList(sim.flRounds, 50);
+
+  console.log(
+    `Restored ${sim.devices.length} devices, ${sim.stats.totalEvents} events, round ${sim.globalModel.round} ` +
+      `from snapshot of ${new Date(saved.savedAt).toISOString()} (+${saved.after.length} log records)`
+  );
+
+  // an open dataset file does not survive a restart
+  if (sim.environment.mode === "replay") {
+    sim.environment.mode = "synthetic";
+    sim.environment.simulatorRunning = false;
+  }
+  if (sim.environment.simulatorRunning) {
+    sim.environment.simulatorRunning = false;
+    startSimulator(simIntervalMs);
+  }
 }
 
 // -------------- HTTP API -----------------
@@ -348,88 +308,945 @@ app.get("/api/health", (req, res) => {
 });
 
 app.get("/api/devices", (req, res) => {
-  res.json({ ok: true, devices });
+  res.json({ ok: true, devices: listDeviceViews() });
 });
 
-app.post("/api/devices/:id/quarantine", (req, res) => {
+app.post("/api/devices", (req, res) => {
+  const { name, model, dataSize } = req.body || {};
+  for (const [key, v] of Object.entries({ name, model })) {
+    if (typeof v !== "string" || !v.trim()) {
+      return res.status(400).json({ ok: false, error: `${key} must be a non-empty string` });
+    }
+  }
+  // FL weights clients by their data volume (see fl.js sampleCount)
+  if (!Number.isInteger(dataSize) || dataSize < 1) {
+    return res.status(400).json({ ok: false, error: "dataSize must be a positive integer" });
+  }
+  const dev = createDevice({ name: name.trim(), model: model.trim(), dataSize });
+  sim.devices.push(dev);
+  broadcast("device_registered", { device: deviceView(dev) });
+  res.status(201).json({ ok: true, device: deviceView(dev) });
+});
+
+app.delete("/api/devices/:id", (req, res) => {
   const { id } = req.params;
-  devices = devices.map((d) =>
-    d.id === id ? { ...d, quarantined: true } : d
-  );
-  const dev = devices.find((d) => d.id === id);
-  if (dev) broadcast("device_updated", { device: dev });
+  const dev = sim.devices.find((d) => d.id === id);
+  if (!dev) return res.status(404).json({ ok: false, error: "device not found" });
+
+  sim.devices = sim.devices.filter((d) => d.id !== id);
+  broadcast("device_removed", { id });
   res.json({ ok: true });
 });
 
+// single sample, or a batch as an array / { samples: [...] }
+app.post("/api/devices/:id/telemetry", (req, res) => {
+  const dev = sim.devices.find((d) => d.id === req.params.id);
+  if (!dev) return res.status(404).json({ ok: false, error: "device not found" });
+  expireResponses(); // a quarantine may have run out between housekeeping runs
+  if (dev.quarantined) {
+    return res.status(409).json({ ok: false, error: "device is quarantined" });
+  }
+
+  const body = req.body || {};
+  const batch = Array.isArray(body) ? body : Array.isArray(body.samples) ? body.samples : [body];
+  if (batch.length === 0 || batch.length > 500) {
+    return res.status(400).json({ ok: false, error: "expected 1..500 samples" });
+  }
+
+  const parsed = batch.map(parseSample);
+  const bad = parsed.findIndex((p) => p === null);
+  if (bad >= 0) {
+    return res.status(400).json({
+      ok: false,
+      error:
+        `sample ${bad}: packetsPerSec, failedAuth and bytesOut must be non-negative numbers` +
+        `; trueClass, if given, one of ${CLASSES.join(", ")}`
+    });
+  }
+
+  const events = parsed.map((p) => ingestTelemetry(dev, p.sample, p.trueLabel, p.trueClass));
+  pushTimeseriesPoint();
+  broadcast("device_updated", { device: deviceView(dev) });
+
+  res.json({
+    ok: true,
+    accepted: events.length,
+    events: events.map((e) => e.event),
+    alerts: events.flatMap((e) => [e.alert, e.driftAlert].filter(Boolean))
+  });
+});
+
+// { reason, by?, until? (epoch ms / ISO) | durationMs? }
+app.post("/api/devices/:id/quarantine", (req, res) => {
+  const dev = sim.devices.find((d) => d.id === req.params.id);
+  if (!dev) return res.status(404).json({ ok: false, error: "device not found" });
+  const { reason, by = "manual", durationMs } = req.body || {};
+  if (typeof reason !== "string" || !reason.trim()) {
+    return res.status(400).json({ ok: false, error: "reason is required" });
+  }
+  if (typeof by !== "string") return res.status(400).json({ ok: false, error: "by must be a string" });
+  // playbook quarantines get automated follow-ups; only rules may claim one
+  if (by.startsWith("playbook:")) {
+    return res.status(400).json({ ok: false, error: 'by must not start with "playbook:"' });
+  }
+  let until = parseTime((req.body || {}).until);
+  if (until === null || (until !== undefined && (until <= Date.now() || until > Date.now() + MAX_DURATION_MS))) {
+    return res.status(400).json({ ok: false, error: "until must be a future epoch ms or ISO date, at most a year ahead" });
+  }
+  if (durationMs !== undefined) {
+    if (until !== undefined) return res.status(400).json({ ok: false, error: "give until or durationMs, not both" });
+    if (!Number.isInteger(durationMs) || durationMs < 1 || durationMs > MAX_DURATION_MS) {
+      return res.status(400).json({ ok: false, error: `durationMs must be an integer in 1..${MAX_DURATION_MS}` });
+    }
+    until = Date.now() + durationMs;
+  }
+  quarantineDevice(dev, {
+    by,
+    reason: reason.trim(),
+    until: until === undefined ? null : new Date(until).toISOString()
+  });
+  res.json({ ok: true, device: deviceView(dev) });
+});
+
+// { reason?, by? }
 app.post("/api/devices/:id/unquarantine", (req, res) => {
-  const { id } = req.params;
-  devices = devices.map((d) =>
-    d.id === id ? { ...d, quarantined: false } : d
-  );
-  const dev = devices.find((d) => d.id === id);
-  if (dev) broadcast("device_updated", { device: dev });
-  res.json({ ok: true });
+  const dev = sim.devices.find((d) => d.id === req.params.id);
+  if (!dev) return res.status(404).json({ ok: false, error: "device not found" });
+  if (!dev.quarantined) return res.status(409).json({ ok: false, error: "device is not quarantined" });
+  const { reason = null, by = "manual" } = req.body || {};
+  if ((reason !== null && typeof reason !== "string") || typeof by !== "string") {
+    return res.status(400).json({ ok: false, error: "reason and by must be strings" });
+  }
+  if (by.startsWith("playbook:")) {
+    return res.status(400).json({ ok: false, error: 'by must not start with "playbook:"' });
+  }
+  releaseDevice(dev, { by, reason });
+  res.json({ ok: true, device: deviceView(dev) });
+});
+
+// quarantine and release records of one device, oldest first
+app.get("/api/devices/:id/history", (req, res) => {
+  const history = historyOf("quarantine", sim.quarantineLog, (r) => r.deviceId === req.params.id);
+  if (history.length === 0 && !sim.devices.some((d) => d.id === req.params.id)) {
+    return res.status(404).json({ ok: false, error: "device not found" });
+  }
+  res.json({ ok: true, history });
+});
+
+app.get("/api/devices/:id/drift", (req, res) => {
+  const dev = sim.devices.find((d) => d.id === req.params.id);
+  if (!dev) return res.status(404).json({ ok: false, error: "device not found" });
+  res.json({ ok: true, drift: driftSummary(dev.drift), driftScore: dev.driftScore });
+});
+
+// cumulative and sliding-window detection metrics for one device
+app.get("/api/devices/:id/stats", (req, res) => {
+  const dev = sim.devices.find((d) => d.id === req.params.id);
+  if (!dev) return res.status(404).json({ ok: false, error: "device not found" });
+  res.json({
+    ok: true,
+    cumulative: { ...dev.confusion, ...metricsFrom(dev.confusion) },
+    windowed: {
+      config: sim.windowConfig,
+      ...windowMetrics(sim.scoredEvents.filter((e) => e.deviceId === dev.id), sim.windowConfig)
+    }
+  });
+});
+
+app.get("/api/devices/:id/profile", (req, res) => {
+  const dev = sim.devices.find((d) => d.id === req.params.id);
+  if (!dev) return res.status(404).json({ ok: false, error: "device not found" });
+  res.json({ ok: true, profile: profileSummary(dev.profile), scoringBaseline: scoringBaseline(dev) });
+});
+
+// forget the learned profile; the device warms up again ({ warmup? })
+app.post("/api/devices/:id/profile/reset", (req, res) => {
+  const dev = sim.devices.find((d) => d.id === req.params.id);
+  if (!dev) return res.status(404).json({ ok: false, error: "device not found" });
+
+  const { warmup } = req.body || {};
+  if (warmup !== undefined && !(Number.isInteger(warmup) && warmup >= 1)) {
+    return res.status(400).json({ ok: false, error: "warmup must be a positive integer" });
+  }
+
+  dev.profile = createProfile(warmup ?? dev.profile.warmup);
+  broadcast("device_updated", { device: deviceView(dev) });
+  res.json({ ok: true, profile: profileSummary(dev.profile) });
+});
+
+// recalibrate one device's threshold now
+app.post("/api/devices/:id/calibrate", (req, res) => {
+  const dev = sim.devices.find((d) => d.id === req.params.id);
+  if (!dev) return res.status(404).json({ ok: false, error: "device not found" });
+  if (!sim.calibrationConfig.enabled) {
+    return res.status(409).json({ ok: false, error: "threshold calibration is disabled" });
+  }
+  if (!calibrate(dev.calibration, sim.calibrationConfig, new Date().toISOString(), "manual")) {
+    return res.status(409).json({
+      ok: false,
+      error: `need ${sim.calibrationConfig.minSamples} benign scores, have ${dev.calibration.benignScores.length}`
+    });
+  }
+  broadcastCalibration(dev);
+  res.json({ ok: true, calibration: calibrationSummary(dev.calibration, sim.calibrationConfig) });
+});
+
+// switch a device's drift detector ({ detector, params? }); resets its state
+app.post("/api/devices/:id/drift-detector", (req, res) => {
+  const dev = sim.devices.find((d) => d.id === req.params.id);
+  if (!dev) return res.status(404).json({ ok: false, error: "device not found" });
+
+  const { detector, params } = req.body || {};
+  if (!DRIFT_DETECTORS.includes(detector)) {
+    return res.status(400).json({ ok: false, error: `detector must be one of ${DRIFT_DETECTORS.join(", ")}` });
+  }
+  if (params !== undefined && (typeof params !== "object" || params === null)) {
+    return res.status(400).json({ ok: false, error: "params must be an object" });
+  }
+
+  dev.drift = createDriftState(detector, params || {});
+  dev.driftScore = 0;
+  broadcast("device_updated", { device: deviceView(dev) });
+  res.json({ ok: true, drift: driftSummary(dev.drift) });
+});
+
+// mark a device as a malicious FL client ({ type: "none" } clears it)
+app.post("/api/devices/:id/poison", (req, res) => {
+  const dev = sim.devices.find((d) => d.id === req.params.id);
+  if (!dev) return res.status(404).json({ ok: false, error: "device not found" });
+
+  const { type, scale } = req.body || {};
+  if (type !== "none" && !POISON_TYPES.includes(type)) {
+    return res.status(400).json({ ok: false, error: `type must be "none" or one of ${POISON_TYPES.join(", ")}` });
+  }
+
+  dev.poison = type === "none" ? null : makePoison(type, scale);
+  broadcast("device_updated", { device: deviceView(dev) });
+  res.json({ ok: true, device: deviceView(dev) });
 });
 
 app.get("/api/stats/overview", (req, res) => {
-  res.json({ ok: true, environment, stats, globalModel });
+  res.json({
+    ok: true,
+    environment: sim.environment,
+    stats: sim.stats,
+    globalModel: sim.globalModel,
+    windowed: { config: sim.windowConfig, ...windowMetrics(sim.scoredEvents, sim.windowConfig) },
+    privacy: privacySummary(sim.privacy, sim.flConfig.dp, sim.lastAccuracyCost)
+  });
+});
+
+app.get("/api/stats/window", (req, res) => {
+  res.json({ ok: true, config: sim.windowConfig, maxRetainedEvents: MAX_SCORED_EVENTS });
+});
+
+// { events?, seconds? }
+app.post("/api/stats/window", (req, res) => {
+  const body = req.body || {};
+  const next = { ...windowConfig };
+  for (const key of ["events", "seconds"]) {
+    if (body[key] === undefined) continue;
+    const v = Number(body[key]);
+    if (!Number.isInteger(v) || v < 1 || (key === "events" && v > MAX_SCORED_EVENTS)) {
+      return res.status(400).json({
+        ok: false,
+        error: `${key} must be a positive integer${key === "events" ? ` <= ${MAX_SCORED_EVENTS}` : ""}`
+      });
+    }
+    next[key] = v;
+  }
+  sim.windowConfig = next;
+  res.json({ ok: true, config: sim.windowConfig });
 });
 
+// ?from&to&resolution=auto|raw|10s|1m|10m -> mean per bucket, plus min / max
+// ?from&to&resolution -> { resolution, series } or { error }
+function timeseriesQuery(q) {
+  const from = parseTime(q.from);
+  const to = parseTime(q.to);
+  if (from === null || to === null) return { error: "from / to must be epoch ms or ISO dates" };
+  const requested = q.resolution || "auto";
+  if (requested !== "auto" && !RESOLUTIONS[requested]) {
+    return { error: `resolution must be auto or one of ${Object.keys(RESOLUTIONS).join(", ")}` };
+  }
+  const resolution = requested === "auto" ? pickResolution(sim.timeseries, from, to) : requested;
+  return { resolution, series: rollupSeries(sim.timeseries, resolution, from, to) };
+}
+
 app.get("/api/stats/timeseries", (req, res) => {
-  res.json({ ok: true, timeseries });
+  const out = timeseriesQuery(req.query);
+  if (out.error) return res.status(400).json({ ok: false, error: out.error });
+  res.json({
+    ok: true,
+    resolution: out.resolution,
+    bucketMs: RESOLUTIONS[out.resolution].bucketMs,
+    timeseries: out.series
+  });
+});
+
+// time query param: epoch ms or ISO date; undefined when absent
+function parseTime(v) {
+  if (v === undefined) return undefined;
+  const t = /^\d+$/.test(v) ? Number(v) : Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+// ROC / PR curves over retained scored events (?deviceId=&from=&to=)
+app.get("/api/stats/roc", (req, res) => {
+  const { deviceId } = req.query;
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  if (from === null || to === null) {
+    return res.status(400).json({ ok: false, error: "from / to must be epoch ms or ISO dates" });
+  }
+
+  const events = sim.scoredEvents.filter(
+    (e) =>
+      (!deviceId || e.deviceId === deviceId) &&
+      (from === undefined || e.ts >= from) &&
+      (to === undefined || e.ts <= to)
+  );
+  const curves = rocCurves(events);
+  res.json({
+    ok: true,
+    filter: { deviceId: deviceId || null, from: from ?? null, to: to ?? null },
+    events: events.length,
+    curves // null until both classes are present
+  });
+});
+
+const timeKey = (r, sort) => (sort === "ts" ? Date.parse(r.ts) : r[sort]);
+
+// Index metas of the records logged since the last reset, oldest first,
+// or null when persistence is off. Alert metas carry their latest state and
+// assignee, so the filters never need the full records.
+function loggedMetas(kind) {
+  const list = storage.entries(kind);
+  if (!list) return null;
+  if (kind !== "alert") return list.map((e) => e.meta);
+  return list.map((e) => {
+    const update = storage.lookup("alert_update", e.meta.id);
+    return update ? { ...e.meta, ...update.meta } : e.meta;
+  });
+}
+
+// the full logged records behind a list of metas; alerts get their latest
+// lifecycle (state, notes, ...) applied
+function readLogged(kind, metas) {
+  // a record dropped by compaction or a reset since the metas were taken
+  // is skipped
+  const records = storage.read(metas.map((m) => storage.lookup(kind, m.id))).filter(Boolean);
+  if (kind !== "alert") return records;
+  const updates = storage.read(records.map((a) => storage.lookup("alert_update", a.id)));
+  return records.map((a, i) => (updates[i] ? { ...a, ...updates[i].lifecycle } : a));
+}
+
+// every matching record, oldest first: from the log when persistence is
+// on, else the recent list
+function historyOf(kind, recent, match) {
+  const metas = loggedMetas(kind);
+  if (!metas) return recent.slice().reverse().filter(match);
+  return readLogged(kind, metas.filter(match));
+}
+
+// the matching records for sendRows, read from the log a batch at a time;
+// map turns a record into a row
+function historyBatches(kind, recent, match, map = (r) => r) {
+  const metas = loggedMetas(kind);
+  const matches = metas ? metas.filter(match) : recent.slice().reverse().filter(match);
+  let start = 0;
+  return (count) => {
+    let batch = [];
+    while (batch.length === 0 && start < matches.length) {
+      const slice = matches.slice(start, (start += count));
+      batch = metas ? readLogged(kind, slice) : slice;
+    }
+    return batch.map(map);
+  };
+}
+
+// one page of history: the filter and paging run over the index and only
+// the records on the page are read from the log
+function queryHistory(kind, recent, match, paging) {
+  const metas = loggedMetas(kind);
+  if (!metas) return paginate(recent.slice().reverse().filter(match), paging, timeKey);
+  const page = paginate(metas.filter(match), paging, timeKey);
+  return { ...page, items: readLogged(kind, page.items) };
+}
+
+// telemetry query filters (?deviceId&from&to&predicted&trueLabel&minScore&maxScore)
+// -> { match(event) } or { error }; shared by /api/telemetry and exports
+function telemetryFilter(q) {
+  const from = parseTime(q.from);
+  const to = parseTime(q.to);
+  if (from === null || to === null) return { error: "from / to must be epoch ms or ISO dates" };
+  const minScore = q.minScore === undefined ? undefined : Number(q.minScore);
+  const maxScore = q.maxScore === undefined ? undefined : Number(q.maxScore);
+  if (Number.isNaN(minScore) || Number.isNaN(maxScore)) return { error: "minScore / maxScore must be numbers" };
+
+  return {
+    match: (e) => {
+      const ts = Date.parse(e.ts);
+      return (
+        (!q.deviceId || e.deviceId === q.deviceId) &&
+        (from === undefined || ts >= from) &&
+        (to === undefined || ts <= to) &&
+        (!q.predicted || e.predicted === q.predicted) &&
+        (!q.trueLabel || e.trueLabel === q.trueLabel) &&
+        (minScore === undefined || e.score >= minScore) &&
+        (maxScore === undefined || e.score <= maxScore)
+      );
+    }
+  };
+}
+
+// alert query filters (?severity=high,medium&type&state&assignee&deviceId&from&to)
+function alertFilter(q) {
+  const from = parseTime(q.from);
+  const to = parseTime(q.to);
+  if (from === null || to === null) return { error: "from / to must be epoch ms or ISO dates" };
+  const severities = q.severity ? String(q.severity).split(",") : null;
+  const types = q.type ? String(q.type).split(",") : null;
+  const states = q.state ? String(q.state).split(",") : null;
+  if (states && states.some((st) => !ALERT_STATES.includes(st))) {
+    return { error: `state must be one of ${ALERT_STATES.join(", ")}` };
+  }
+
+  return {
+    match: (a) => {
+      const ts = Date.parse(a.ts);
+      return (
+        (!severities || severities.includes(a.severity)) &&
+        (!types || types.includes(a.type)) &&
+        (!states || states.includes(a.state || "open")) &&
+        (!q.assignee || a.assignee === q.assignee) &&
+        (!q.deviceId || a.deviceId === q.deviceId) &&
+        (q.duplicates !== "false" || !a.duplicateOf) &&
+        (from === undefined || ts >= from) &&
+        (to === undefined || ts <= to)
+      );
+    }
+  };
+}
+
+// telemetry filters plus &sort=ts|score&order&limit&cursor
+app.get("/api/telemetry", (req, res) => {
+  const filter = telemetryFilter(req.query);
+  if (filter.error) return res.status(400).json({ ok: false, error: filter.error });
+  const paging = parsePaging(req.query, ["ts", "score"]);
+  if (paging.error) return res.status(400).json({ ok: false, error: paging.error });
+
+  res.json({ ok: true, ...queryHistory("telemetry", sim.telemetry, filter.match, paging) });
+});
+
+// alert filters plus &sort=ts|score&order&limit&cursor
+app.get("/api/alerts", (req, res) => {
+  const filter = alertFilter(req.query);
+  if (filter.error) return res.status(400).json({ ok: false, error: filter.error });
+  const paging = parsePaging(req.query, ["ts", "score"]);
+  if (paging.error) return res.status(400).json({ ok: false, error: paging.error });
+
+  res.json({ ok: true, ...queryHistory("alert", sim.alerts, filter.match, paging) });
+});
+
+// -------------- Alert lifecycle (see lifecycle.js) -----------------
+// recent alerts are updated in place; older ones are read from the log by
+// their index entry. Unknown ids are left out.
+function findAlerts(ids) {
+  const recent = new Map(sim.alerts.map((a) => [a.id, a]));
+  const older = ids.filter((id) => !recent.has(id) && storage.lookup("alert", id));
+  const logged = new Map(readLogged("alert", older.map((id) => ({ id }))).map((a) => [a.id, a]));
+  return ids.map((id) => recent.get(id) ?? logged.get(id)).filter(Boolean);
+}
+
+function findAlert(id) {
+  return findAlerts([id])[0];
+}
+
+// change(alert, body) -> { status, error } or null; a successful change is
+// logged as an alert_update record and broadcast
+function updateAlert(req, res, change) {
+  const found = findAlert(req.params.id);
+  if (!found) return res.status(404).json({ ok: false, error: "alert not found" });
+  const alert = sim.alerts.includes(found) ? found : { ...found };
+  const body = req.body || {};
+  if (body.by !== undefined && typeof body.by !== "string") {
+    return res.status(400).json({ ok: false, error: "by must be a string" });
+  }
+  const failed = change(alert, body);
+  if (failed) return res.status(failed.status).json({ ok: false, error: failed.error });
+
+  storage.append("alert_update", { id: alert.id, lifecycle: lifecycleOf(alert) });
+  broadcast("alert_updated", { alert });
+  res.json({ ok: true, alert });
+}
+
+function checkAssignee(assignee) {
+  return assignee !== null && typeof assignee !== "string"
+    ? { status: 400, error: "assignee must be a string or null" }
+    : null;
+}
+
+// the optional note is checked like one added through /notes
+function moveAlert(alert, to, { by, note }) {
+  if (note !== undefined && note !== null && note !== "") {
+    const invalid = noteError(note);
+    if (invalid) return { status: 400, error: invalid };
+  }
+  const error = transition(alert, to, { by, note: note ? note.trim() : null });
+  return error ? { status: 409, error } : null;
+}
+
+app.get("/api/alerts/:id", (req, res) => {
+  const alert = findAlert(req.params.id);
+  if (!alert) return res.status(404).json({ ok: false, error: "alert not found" });
+  res.json({ ok: true, alert });
+});
+
+// { by?, note?, assignee? }
+app.post("/api/alerts/:id/ack", (req, res) =>
+  updateAlert(req, res, (alert, body) => {
+    if (body.assignee !== undefined) {
+      const bad = checkAssignee(body.assignee);
+      if (bad) return bad;
+    }
+    const failed = moveAlert(alert, "acknowledged", body);
+    if (!failed && body.assignee !== undefined) assign(alert, body.assignee, { by: body.by });
+    return failed;
+  })
+);
+
+// { by?, note?, falsePositive? }
+app.post("/api/alerts/:id/resolve", (req, res) =>
+  updateAlert(req, res, (alert, body) =>
+    moveAlert(alert, body.falsePositive ? "false_positive" : "resolved", body)
+  )
+);
+
+// { by?, note? }
+app.post("/api/alerts/:id/reopen", (req, res) =>
+  updateAlert(req, res, (alert, body) => moveAlert(alert, "open", body))
+);
+
+// { assignee, by? } (null / "" unassigns)
+app.post("/api/alerts/:id/assign", (req, res) =>
+  updateAlert(req, res, (alert, body) => {
+    const bad = checkAssignee(body.assignee);
+    if (bad) return bad;
+    assign(alert, body.assignee, { by: body.by });
+    return null;
+  })
+);
+
+// { text, by? }
+app.post("/api/alerts/:id/notes", (req, res) =>
+  updateAlert(req, res, (alert, body) => {
+    const error = addNote(alert, body.text, { by: body.by });
+    return error ? { status: 400, error } : null;
+  })
+);
+
+// -------------- Incidents (see incident.js) -----------------
+const INCIDENT_STATES = ["active", "closed"];
+
+// ?state=active,closed&severity&type&deviceId&from&to (on lastSeen)
+// plus &sort=lastSeen|firstSeen|count&order&limit&cursor
+app.get("/api/incidents", (req, res) => {
+  const q = req.query;
+  const from = parseTime(q.from);
+  const to = parseTime(q.to);
+  if (from === null || to === null) {
+    return res.status(400).json({ ok: false, error: "from / to must be epoch ms or ISO dates" });
+  }
+  const states = q.state ? String(q.state).split(",") : null;
+  if (states && states.some((st) => !INCIDENT_STATES.includes(st))) {
+    return res.status(400).json({ ok: false, error: `state must be one of ${INCIDENT_STATES.join(", ")}` });
+  }
+  const severities = q.severity ? String(q.severity).split(",") : null;
+  const types = q.type ? String(q.type).split(",") : null;
+  const paging = parsePaging(q, ["lastSeen", "firstSeen", "count"]);
+  if (paging.error) return res.status(400).json({ ok: false, error: paging.error });
+
+  closeQuietIncidents();
+  const matching = sim.incidents.filter((inc) => {
+    const ts = Date.parse(inc.lastSeen);
+    return (
+      (!states || states.includes(inc.state)) &&
+      (!severities || severities.includes(inc.severity)) &&
+      (!types || types.includes(inc.type)) &&
+      (!q.deviceId || inc.devices.some((d) => d.id === q.deviceId)) &&
+      (from === undefined || ts >= from) &&
+      (to === undefined || ts <= to)
+    );
+  });
+  const keyOf = (inc, sort) => (sort === "count" ? inc.count : Date.parse(inc[sort]));
+  res.json({ ok: true, ...paginate(matching, paging, keyOf) });
 });
 
+app.get("/api/incidents/config", (req, res) => {
+  res.json({ ok: true, config: sim.incidentConfig });
+});
+
+// { gapMs?, crossDeviceMs?, dedupMs?, maxAlertIds? }; dedupMs 0 links every alert
+app.post("/api/incidents/config", (req, res) => {
+  const body = req.body || {};
+  const next = { ...incidentConfig };
+  for (const key of Object.keys(next)) {
+    if (body[key] === undefined) continue;
+    const v = Number(body[key]);
+    const min = key === "gapMs" || key === "maxAlertIds" ? 1 : 0;
+    if (!Number.isInteger(v) || v < min) {
+      return res.status(400).json({ ok: false, error: `${key} must be an integer >= ${min}` });
+    }
+    next[key] = v;
+  }
+  if (next.crossDeviceMs > next.gapMs || next.dedupMs > next.gapMs) {
+    return res.status(400).json({ ok: false, error: "crossDeviceMs and dedupMs must not exceed gapMs" });
+  }
+  sim.incidentConfig = next;
+  res.json({ ok: true, config: sim.incidentConfig });
+});
+
+// the incident with its linked (non-duplicate) alerts, oldest first
+app.get("/api/incidents/:id", (req, res) => {
+  const incident = sim.incidents.find((inc) => inc.id === req.params.id);
+  if (!incident) return res.status(404).json({ ok: false, error: "incident not found" });
+  res.json({ ok: true, incident, alerts: findAlerts(incident.alertIds) });
+});
+
+// -------------- Response playbooks (see playbook.js) -----------------
+app.get("/api/playbooks", (req, res) => {
+  res.json({ ok: true, config: sim.playbooks });
+});
+
+// { enabled?, dryRun?, rules? }; rules replaces the whole list
+app.post("/api/playbooks", (req, res) => {
+  const { config, error } = parsePlaybooks(req.body, sim.playbooks);
+  if (error) return res.status(400).json({ ok: false, error });
+  sim.playbooks = config;
+  res.json({ ok: true, config: sim.playbooks });
+});
+
+// automated actions, newest first
+app.get("/api/playbooks/actions", (req, res) => {
+  res.json({ ok: true, actions: sim.responseLog });
+});
+
+// -------------- Exports (see export.js) -----------------
+// Same filters as /api/telemetry and /api/alerts, oldest record first.
+for (const format of ["csv", "ndjson"]) {
+  app.get(`/api/export/telemetry.${format}`, (req, res) => {
+    const filter = telemetryFilter(req.query);
+    if (filter.error) return res.status(400).json({ ok: false, error: filter.error });
+    const map = format === "csv" ? flattenTelemetry : undefined;
+    const rows = historyBatches("telemetry", sim.telemetry, filter.match, map);
+    sendRows(res, `telemetry.${format}`, format, rows, TELEMETRY_COLUMNS);
+  });
+
+  app.get(`/api/export/alerts.${format}`, (req, res) => {
+    const filter = alertFilter(req.query);
+    if (filter.error) return res.status(400).json({ ok: false, error: filter.error });
+    sendRows(res, `alerts.${format}`, format, historyBatches("alert", sim.alerts, filter.match), ALERT_COLUMNS);
+  });
+}
+
+// ?from&to&resolution as for /api/stats/timeseries
+app.get("/api/export/metrics.csv", (req, res) => {
+  const out = timeseriesQuery(req.query);
+  if (out.error) return res.status(400).json({ ok: false, error: out.error });
+  const { columns, rows } = timeseriesRows(out.series, TIMESERIES_METRICS);
+  sendRows(res, `metrics-${out.resolution}.csv`, "csv", rows, columns);
+});
+
+// { intervalMs?, mode?: "synthetic" | "replay", replay?: { path, preset?, columns, ... } }
+// Passing `replay` loads a dataset (see replay.js); a plain start resumes
+// the current mode, or goes back to synthetic once a replay has finished.
 app.post("/api/sim/start", (req, res) => {
-  const { intervalMs } = req.body || {};
+  const { intervalMs, mode, replay: replayRaw } = req.body || {};
+  if (mode !== undefined && mode !== "synthetic" && mode !== "replay") {
+    return res.status(400).json({ ok: false, error: "mode must be synthetic or replay" });
+  }
+
+  if (replayRaw !== undefined) {
+    const { config, error } = parseReplayConfig(replayRaw, DATASET_DIR, { within: DATASET_DIR });
+    if (error) return res.status(400).json({ ok: false, error });
+    let source;
+    try {
+      source = createReplay(config);
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    closeReplay();
+    sim.replay = { source, config, next: 0 };
+    sim.environment.mode = "replay";
+    broadcast("replay_status", { replay: source.status() });
+  } else if (mode === "replay" && (!sim.replay || sim.replay.source.finished())) {
+    return res.status(400).json({ ok: false, error: "no dataset to replay; pass replay to load one" });
+  } else if (mode === "synthetic" || (sim.replay && sim.replay.source.finished())) {
+    closeReplay();
+  }
+
   startSimulator(intervalMs || 700);
-  res.json({ ok: true, environment });
+  res.json({ ok: true, environment: sim.environment });
+});
+
+app.get("/api/sim/replay", (req, res) => {
+  res.json({ ok: true, mode: sim.environment.mode, replay: sim.replay ? sim.replay.source.status() : null });
 });
 
 app.post("/api/sim/stop", (req, res) => {
   stopSimulator();
-  res.json({ ok: true, environment });
+  res.json({ ok: true, environment: sim.environment });
 });
 
+// { seed? }: reseed the PRNG so the next run replays the same draws
 app.post("/api/sim/reset", (req, res) => {
+  const body = req.body || {};
+  if (body.seed !== undefined) seed(body.seed);
   resetSimulator();
-  res.json({ ok: true, environment });
+  res.json({ ok: true, environment: sim.environment });
 });
 
+// { type, intensity, devices?: [id or name, ...] } (no devices = all)
 app.post("/api/sim/attack", (req, res) => {
-  const { type, intensity } = req.body || {};
-  environment.attackType = type || "none";
-  environment.attackLevel = Number(intensity) || 0;
-  broadcastSimStatus();
-  res.json({ ok: true, environment });
+  const { type, intensity, devices: refs } = req.body || {};
+  let targets = null;
+  if (refs !== undefined) {
+    targets = resolveDevices(refs);
+    if (targets.error) return res.status(400).json({ ok: false, error: targets.error });
+  }
+  setAttack(type || "none", Number(intensity) || 0, targets && targets.ids);
+  res.json({ ok: true, environment: sim.environment });
 });
 
 app.post("/api/sim/drift", (req, res) => {
   const { level } = req.body || {};
-  environment.driftLevel = Number(level) || 0;
-  broadcastSimStatus();
-  res.json({ ok: true, environment });
+  setDrift(Number(level) || 0);
+  res.json({ ok: true, environment: sim.environment });
+});
+
+// -------------- Scenarios (see scenario.js) -----------------
+const scenarioRunner = createScenarioRunner({
+  execute: executeScenarioStep,
+  onChange: (status) => broadcast("scenario_status", { scenario: status })
+});
+
+function executeScenarioStep(step, fraction, ctx) {
+  if (step.action === "attack") {
+    let ids = null;
+    if (step.devices) {
+      const targets = resolveDevices(step.devices);
+      if (targets.error) throw new Error(targets.error);
+      ids = targets.ids;
+    }
+    const level = step.intensity ?? (step.type === "none" ? 0 : sim.environment.attackLevel);
+    setAttack(step.type, level, ids);
+  } else if (step.action === "drift") {
+    if (ctx.from === undefined) ctx.from = step.from ?? sim.environment.driftLevel;
+    setDrift(Number((ctx.from + (step.level - ctx.from) * fraction).toFixed(3)));
+  } else if (step.action === "fl_round") {
+    const out = executeFlRound({ aggregator: step.aggregator });
+    if (out.blocker) throw new Error(out.blocker.body.error);
+  }
+}
+
+// upload and start a scenario; the simulator is started if needed
+app.post("/api/sim/scenario", (req, res) => {
+  if (scenarioRunner.isActive()) {
+    return res.status(409).json({ ok: false, error: "a scenario is already running; abort it first" });
+  }
+  const { scenario, error } = parseScenario(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  seedDevices();
+  for (const step of scenario.steps) {
+    const targets = step.devices && resolveDevices(step.devices);
+    if (targets && targets.error) {
+      return res.status(400).json({ ok: false, error: `steps[${step.index}]: ${targets.error}` });
+    }
+  }
+  if (!sim.environment.simulatorRunning) startSimulator(simIntervalMs);
+  scenarioRunner.start(scenario);
+  res.json({ ok: true, scenario: scenarioRunner.status() });
+});
+
+app.get("/api/sim/scenario", (req, res) => {
+  res.json({ ok: true, scenario: scenarioRunner.status() });
 });
 
+for (const action of ["pause", "resume", "abort"]) {
+  app.post(`/api/sim/scenario/${action}`, (req, res) => {
+    if (!scenarioRunner[action]()) {
+      return res.status(409).json({ ok: false, error: `no scenario to ${action}` });
+    }
+    res.json({ ok: true, scenario: scenarioRunner.status() });
+  });
+}
+
+// body.aggregator overrides the configured strategy for this round only;
+// body.dropouts lists device ids that drop out of a secure-aggregation round
 app.post("/api/fl/round", (req, res) => {
-  // simple: increase round and nudge accuracy
-  globalModel.round += 1;
-  globalModel.accuracy += (Math.random() - 0.5) * 0.01;
-  globalModel.accuracy = Math.min(0.99, Math.max(0.7, globalModel.accuracy));
-  pushTimeseriesPoint();
-  broadcastModelUpdate();
-  res.json({ ok: true, globalModel });
+  const body = req.body || {};
+  const out = executeFlRound({
+    aggregator: body.aggregator,
+    dropouts: Array.isArray(body.dropouts) ? body.dropouts : []
+  });
+  if (out.blocker) return res.status(out.blocker.status).json(out.blocker.body);
+  res.json({ ok: true, globalModel: sim.globalModel, report: out.report });
+});
+
+app.get("/api/fl/config", (req, res) => {
+  res.json({
+    ok: true,
+    config: sim.flConfig,
+    aggregators: AGGREGATORS,
+    privacy: privacySummary(sim.privacy, sim.flConfig.dp, sim.lastAccuracyCost)
+  });
+});
+
+// keys that count clients (0 = automatic)
+const FL_INTEGER_KEYS = { robust: ["byzantine", "multiKrumM"], secureAgg: ["threshold"] };
+
+app.post("/api/fl/config", (req, res) => {
+  const body = req.body || {};
+  const { aggregator } = body;
+  if (aggregator !== undefined && !AGGREGATORS.includes(aggregator)) {
+    return res.status(400).json({ ok: false, error: `unknown aggregator "${aggregator}"` });
+  }
+
+  const next = { aggregator: aggregator || sim.flConfig.aggregator };
+  for (const group of ["adaptive", "robust", "dp", "secureAgg"]) {
+    next[group] = { ...flConfig[group] };
+    for (const key of Object.keys(next[group])) {
+      if (!body[group] || body[group][key] === undefined) continue;
+      if (typeof next[group][key] === "boolean") {
+        if (typeof body[group][key] !== "boolean") {
+          return res.status(400).json({ ok: false, error: `${group}.${key} must be true or false` });
+        }
+        next[group][key] = body[group][key];
+        continue;
+      }
+      const v = Number(body[group][key]);
+      if (!Number.isFinite(v) || v < 0) {
+        return res.status(400).json({ ok: false, error: `${group}.${key} must be a non-negative number` });
+      }
+      if ((FL_INTEGER_KEYS[group] || []).includes(key) && !Number.isInteger(v)) {
+        return res.status(400).json({ ok: false, error: `${group}.${key} must be a non-negative integer` });
+      }
+      next[group][key] = v;
+    }
+  }
+
+  const { clipNorm, noiseMultiplier, delta, targetEpsilon } = next.dp;
+  if (!(clipNorm > 0 && noiseMultiplier > 0 && targetEpsilon > 0 && delta > 0 && delta < 1)) {
+    return res.status(400).json({
+      ok: false,
+      error: "dp.clipNorm, dp.noiseMultiplier and dp.targetEpsilon must be > 0, dp.delta in (0, 1)"
+    });
+  }
+
+  if (next.secureAgg.dropoutRate > 1) {
+    return res.status(400).json({ ok: false, error: "secureAgg.dropoutRate must be in [0, 1]" });
+  }
+  // with 1, any single survivor could rebuild every key; more shares than
+  // there are clients can never be collected
+  const { threshold } = next.secureAgg;
+  const maxThreshold = Math.max(2, sim.devices.length);
+  if (threshold !== 0 && (threshold < 2 || threshold > maxThreshold)) {
+    return res.status(400).json({
+      ok: false,
+      error: `secureAgg.threshold must be 0 (automatic) or an integer in 2..${maxThreshold}`
+    });
+  }
+
+  sim.flConfig = next;
+  res.json({ ok: true, config: sim.flConfig });
+});
+
+app.get("/api/fl/rounds", (req, res) => {
+  res.json({ ok: true, rounds: sim.flRounds });
+});
+
+app.get("/api/calibration/config", (req, res) => {
+  res.json({ ok: true, config: sim.calibrationConfig });
+});
+
+// { enabled?, targetFpr?, minSamples?, recalibrateEvery?, afterDrift?, historySize? };
+// recalibrates every device that has enough benign scores
+app.post("/api/calibration/config", (req, res) => {
+  const body = req.body || {};
+  const next = { ...calibrationConfig };
+  for (const key of Object.keys(next)) {
+    if (body[key] === undefined) continue;
+    if (typeof next[key] === "boolean") {
+      if (typeof body[key] !== "boolean") {
+        return res.status(400).json({ ok: false, error: `${key} must be true or false` });
+      }
+      next[key] = body[key];
+      continue;
+    }
+    const v = Number(body[key]);
+    const valid = key === "targetFpr" ? v > 0 && v < 1 : Number.isInteger(v) && v >= 1;
+    if (!valid) {
+      return res.status(400).json({
+        ok: false,
+        error: key === "targetFpr" ? "targetFpr must be in (0, 1)" : `${key} must be a positive integer`
+      });
+    }
+    next[key] = v;
+  }
+  sim.calibrationConfig = next;
+
+  const ts = new Date().toISOString();
+  const recalibrated = sim.calibrationConfig.enabled
+    ? sim.devices.filter((d) => calibrate(d.calibration, sim.calibrationConfig, ts, "config"))
+    : [];
+  recalibrated.forEach(broadcastCalibration);
+
+  res.json({ ok: true, config: sim.calibrationConfig, recalibrated: recalibrated.map((d) => d.name) });
+});
+
+app.get("/api/adaptation/config", (req, res) => {
+  res.json({ ok: true, policy: sim.adaptationPolicy });
+});
+
+// { rebaseline?, retrain?, requestFl?, minSamples? }
+app.post("/api/adaptation/config", (req, res) => {
+  const body = req.body || {};
+  const next = { ...adaptationPolicy };
+  for (const key of ["rebaseline", "retrain", "requestFl"]) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== "boolean") {
+      return res.status(400).json({ ok: false, error: `${key} must be true or false` });
+    }
+    next[key] = body[key];
+  }
+  if (body.minSamples !== undefined) {
+    const n = Number(body.minSamples);
+    if (!Number.isInteger(n) || n < 1) {
+      return res.status(400).json({ ok: false, error: "minSamples must be a positive integer" });
+    }
+    next.minSamples = n;
+  }
+  sim.adaptationPolicy = next;
+  res.json({ ok: true, policy: sim.adaptationPolicy });
+});
+
+app.get("/api/adaptation/events", (req, res) => {
+  res.json({ ok: true, events: sim.adaptationLog });
 });
 
 // -------------- WebSocket -----------------
 wss.on("connection", (ws) => {
   console.log("Client connected to WS");
   const snapshot = {
-    devices,
-    environment,
-    stats,
-    globalModel,
-    alerts: alerts.slice(0, 80),
-    telemetry: telemetry.slice(0, 80)
+    devices: listDeviceViews(),
+    environment: sim.environment,
+    stats: sim.stats,
+    globalModel: sim.globalModel,
+    alerts: sim.alerts.slice(0, 80),
+    incidents: sim.incidents.slice(0, 50),
+    telemetry: sim.telemetry.slice(0, 80)
   };
   ws.send(JSON.stringify({ type: "snapshot", payload: snapshot }));
 
@@ -438,7 +1255,29 @@ wss.on("connection", (ws) => {
   });
 });
 
+app.get("/api/storage", (req, res) => {
+  res.json({ ok: true, storage: storage.status() });
+});
+
 // -------------- Start server -----------------
+restoreState();
+storage.start(persistentState);
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    storage.stop(persistentState);
+    process.exit(0);
+  });
+}
+
+// expiries and quiet incidents are also handled while the simulator is
+// stopped; a tick does the same work, so this only fills the gaps
+const housekeeping = setInterval(() => {
+  closeQuietIncidents();
+  expireResponses();
+}, 1000);
+housekeeping.unref();
+
 const PORT = process.env.PORT || 9002;
 server.listen(PORT, () => {
   console.log(`Backend listening on http://localhost:${PORT}`);
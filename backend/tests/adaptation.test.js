@@ -0,0 +1,55 @@
+// adaptation: re-baselining, retraining and FL requests after drift
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ADAPTATION_DEFAULTS, baselineFrom, startAdaptation, observeAdaptation } = require("../adaptation");
+const { PARAM_DIM } = require("../model");
+const { createProfile } = require("../profile");
+
+function event(i, trueLabel = "Normal") {
+  return { trueLabel, features: { packetsPerSec: 400 + (i % 5), failedAuth: 2, bytesOut: 30000 } };
+}
+
+function device() {
+  return { localW: new Array(PARAM_DIM).fill(0), window: [], profile: createProfile(), flRequested: false };
+}
+
+test("the post-drift baseline is robust to a few outliers", () => {
+  const samples = [10, 11, 12, 13, 1000].map((p) => ({ packetsPerSec: p, failedAuth: 0, bytesOut: 100 }));
+  const b = baselineFrom(samples);
+  assert.equal(b.packetsPerSec.mean, 12);
+  assert.ok(b.packetsPerSec.std < 3);
+  assert.equal(b.failedAuth.std, 1e-3);
+});
+
+test("nothing happens without a confirmed drift", () => {
+  assert.deepEqual(observeAdaptation(device(), event(0)), []);
+});
+
+test("after minSamples benign samples the device adapts once", () => {
+  const dev = device();
+  startAdaptation(dev, "2025-01-01T00:00:00.000Z");
+  const policy = { ...ADAPTATION_DEFAULTS, minSamples: 5 };
+
+  // labelled attacks are left out of the new baseline
+  assert.deepEqual(observeAdaptation(dev, event(0, "Attack"), policy), []);
+  let actions = [];
+  for (let i = 0; i < 5; i++) actions = observeAdaptation(dev, event(i), policy);
+
+  assert.deepEqual(actions.map((a) => a.action), ["rebaseline", "retrain", "request_fl"]);
+  assert.equal(actions[0].detail.samples, 5);
+  assert.equal(dev.baseline.packetsPerSec.mean, 402);
+  assert.equal(dev.profile.n, 5);
+  assert.deepEqual(actions[1].detail, { skipped: "not enough labelled samples" });
+  assert.equal(dev.flRequested, true);
+  assert.equal(dev.adaptation, null);
+  assert.deepEqual(observeAdaptation(dev, event(6), policy), []);
+});
+
+test("the policy switches steps off", () => {
+  const dev = device();
+  startAdaptation(dev, "2025-01-01T00:00:00.000Z");
+  const policy = { rebaseline: false, retrain: false, requestFl: true, minSamples: 1 };
+  const actions = observeAdaptation(dev, event(0), policy);
+  assert.deepEqual(actions.map((a) => a.action), ["request_fl"]);
+  assert.equal(dev.baseline, undefined);
+});
@@ -0,0 +1,69 @@
+// calibration: per-device thresholds for a target false-positive rate
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_THRESHOLD,
+  CALIBRATION_DEFAULTS,
+  createCalibration,
+  currentThreshold,
+  observeCalibration,
+  calibrationSummary
+} = require("../calibration");
+
+const cfg = { ...CALIBRATION_DEFAULTS, enabled: true, targetFpr: 0.05, minSamples: 100, recalibrateEvery: 50 };
+
+function benign(score, predicted = "Normal") {
+  return { score, predicted, trueLabel: "Normal" };
+}
+
+// scores 0.00 .. 0.99 in a shuffled-looking order
+function feed(cal, config, n, offset = 0) {
+  const reasons = [];
+  for (let i = 0; i < n; i++) {
+    const score = ((i * 37) % 100) / 100 + offset;
+    const reason = observeCalibration(cal, benign(score), config, { ts: `t${i}` });
+    if (reason) reasons.push(reason);
+  }
+  return reasons;
+}
+
+test("the threshold leaves targetFpr of the benign scores above it", () => {
+  const cal = createCalibration();
+  assert.deepEqual(feed(cal, cfg, 99), []);
+  assert.equal(currentThreshold(cal, cfg), DEFAULT_THRESHOLD);
+  assert.deepEqual(feed(cal, cfg, 1), ["initial"]);
+  assert.equal(cal.threshold, 0.94);
+  assert.equal(cal.benignScores.filter((s) => s > cal.threshold).length, 5);
+});
+
+test("calibration repeats every recalibrateEvery benign samples", () => {
+  const cal = createCalibration();
+  feed(cal, cfg, 100);
+  assert.deepEqual(feed(cal, cfg, 100, 1), ["periodic", "periodic"]);
+  assert.ok(cal.threshold > 1);
+});
+
+test("a drift drops the old scores and recalibrates from post-drift ones", () => {
+  const cal = createCalibration();
+  feed(cal, cfg, 100);
+  observeCalibration(cal, benign(2), cfg, { driftFired: true, ts: "drift" });
+  assert.equal(cal.benignScores.length, 1);
+  assert.deepEqual(feed(cal, cfg, 99, 2), ["drift"]);
+  assert.equal(cal.reason, "drift");
+  assert.ok(cal.threshold >= 2);
+});
+
+test("attacks are left out and disabled calibration keeps the default", () => {
+  const off = { ...cfg, enabled: false };
+  const cal = createCalibration();
+  observeCalibration(cal, { score: 0.9, predicted: "Attack", trueLabel: "Attack" }, off);
+  observeCalibration(cal, { score: 0.9, predicted: "Attack", trueLabel: "Unknown" }, off);
+  observeCalibration(cal, benign(0.9, "Attack"), off);
+  assert.deepEqual(cal.benignScores, [0.9]);
+  assert.deepEqual(feed(cal, off, 200), []);
+
+  const summary = calibrationSummary(cal, off);
+  assert.equal(summary.threshold, DEFAULT_THRESHOLD);
+  assert.equal(summary.calibrated, false);
+  assert.equal(summary.achievedFpr, Number((1 / 201).toFixed(4)));
+});
@@ -0,0 +1,35 @@
+// classes: attack classification and the per-class confusion matrix
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { classifyAttack, trueClassOf, createClassMatrix, classMetrics } = require("../classes");
+
+test("each attack raises its own feature pattern", () => {
+  assert.equal(classifyAttack({ packetsPerSec: 9, failedAuth: 0, bytesOut: 0 }), "port_scan");
+  assert.equal(classifyAttack({ packetsPerSec: 0, failedAuth: 9, bytesOut: 0 }), "bruteforce");
+  assert.equal(classifyAttack({ packetsPerSec: 9, failedAuth: 0, bytesOut: 5 }), "ddos");
+  assert.equal(classifyAttack({ packetsPerSec: 0, failedAuth: 0, bytesOut: 9 }), "exfiltration");
+  assert.equal(classifyAttack({ packetsPerSec: 5, failedAuth: 0, bytesOut: 9 }), "generic");
+  assert.equal(classifyAttack({ packetsPerSec: 9, failedAuth: 9, bytesOut: 0 }), "generic");
+  // flagged on falling values only: nothing matches a class
+  assert.equal(classifyAttack({ packetsPerSec: -9, failedAuth: 0, bytesOut: 0 }), "generic");
+});
+
+test("the true class falls back to the binary label", () => {
+  assert.equal(trueClassOf("Attack", "ddos"), "ddos");
+  assert.equal(trueClassOf("Attack", "made_up"), "generic");
+  assert.equal(trueClassOf("Normal"), "Normal");
+  assert.equal(trueClassOf("Unknown"), null);
+});
+
+test("per-class metrics read the matrix rows and columns", () => {
+  const m = createClassMatrix();
+  m.ddos.ddos = 3;
+  m.ddos.port_scan = 1;
+  m.port_scan.ddos = 1;
+  m.Normal.Normal = 10;
+  const out = classMetrics(m);
+  assert.deepEqual(out.ddos, { support: 4, precision: 0.75, recall: 0.75, f1: 0.75 });
+  assert.deepEqual(out.port_scan, { support: 1, precision: 0, recall: 0, f1: 0 });
+  assert.equal(out.Normal.f1, 1);
+  assert.equal(out.exfiltration.support, 0);
+});
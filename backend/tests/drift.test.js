@@ -0,0 +1,49 @@
+// drift detectors: quiet on a stationary stream, fire after a shift
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DRIFT_DETECTORS, ksStatistic, ksPValue, createDriftState, updateDrift } = require("../drift");
+const { seed, randn } = require("../random");
+
+// packetsPerSec around `level`, the other features steady
+function sample(level) {
+  return { packetsPerSec: Math.max(0, level * (1 + 0.05 * randn())), failedAuth: 0, bytesOut: 2000 };
+}
+
+function run(detector, levels) {
+  seed(7);
+  const ds = createDriftState(detector);
+  const fired = [];
+  levels.forEach((level, i) => {
+    const out = updateDrift(ds, sample(level), i);
+    if (out.fired) fired.push({ i, feature: out.fired });
+  });
+  seed(null);
+  return { ds, fired };
+}
+
+const stationary = new Array(400).fill(20);
+const shifted = [...new Array(200).fill(20), ...new Array(200).fill(200)];
+
+for (const detector of DRIFT_DETECTORS) {
+  test(`${detector} stays quiet on a stationary stream`, () => {
+    const { fired, ds } = run(detector, stationary);
+    assert.deepEqual(fired, []);
+    assert.equal(ds.state, "stable");
+  });
+
+  test(`${detector} fires soon after a level shift`, () => {
+    const { fired, ds } = run(detector, shifted);
+    assert.ok(fired.length > 0, "no drift detected");
+    assert.equal(fired[0].feature, "packetsPerSec");
+    assert.ok(fired[0].i >= 200 && fired[0].i < 260, `fired at ${fired[0].i}`);
+    assert.equal(ds.detections, fired.length);
+  });
+}
+
+test("the KS statistic is the largest gap between the two CDFs", () => {
+  assert.equal(ksStatistic([1, 2, 3, 4], [1, 2, 3, 4]), 0);
+  assert.equal(ksStatistic([1, 2, 3, 4], [5, 6, 7, 8]), 1);
+  assert.equal(ksStatistic([1, 2, 3, 4], [3, 4, 5, 6]), 0.5);
+  assert.ok(ksPValue(1, 50, 50) < 1e-6);
+  assert.ok(ksPValue(0.05, 50, 50) > 0.99);
+});
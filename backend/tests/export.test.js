@@ -0,0 +1,104 @@
+// CSV / NDJSON exports
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { sendRows, timeseriesRows } = require("../export");
+
+// the parts of an express response sendRows uses; full = true makes every
+// write report a full socket buffer
+function fakeResponse({ full = false } = {}) {
+  const res = new EventEmitter();
+  return Object.assign(res, {
+    headers: {},
+    body: "",
+    writes: 0,
+    ended: false,
+    destroyed: false,
+    setHeader(k, v) {
+      this.headers[k] = v;
+    },
+    write(s) {
+      this.body += s;
+      this.writes += 1;
+      return !full;
+    },
+    end() {
+      this.ended = true;
+    }
+  });
+}
+
+test("CSV cells with commas, quotes or newlines are quoted", () => {
+  const res = fakeResponse();
+  const rows = [
+    { id: "a", message: 'said "hi", left' },
+    { id: "b", message: "two\nlines" },
+    { id: "c", message: null },
+    { id: "d", message: "plain" }
+  ];
+  sendRows(res, "alerts.csv", "csv", rows, ["id", "message"]);
+  assert.equal(res.headers["Content-Type"], "text/csv; charset=utf-8");
+  assert.equal(res.headers["Content-Disposition"], 'attachment; filename="alerts.csv"');
+  assert.equal(res.body, 'id,message\na,"said ""hi"", left"\nb,"two\nlines"\nc,\nd,plain\n');
+  assert.ok(res.ended);
+});
+
+test("text that looks like a formula is escaped, numbers are not", () => {
+  const res = fakeResponse();
+  const rows = [
+    { name: "=HYPERLINK(\"x\")", score: -0.5 },
+    { name: "+1", score: 0 },
+    { name: "-cmd", score: 1 },
+    { name: "@SUM(A1)", score: 2 }
+  ];
+  sendRows(res, "d.csv", "csv", rows, ["name", "score"]);
+  assert.equal(res.body, "name,score\n\"'=HYPERLINK(\"\"x\"\")\",-0.5\n'+1,0\n'-cmd,1\n'@SUM(A1),2\n");
+});
+
+test("NDJSON writes one whole record per line", () => {
+  const res = fakeResponse();
+  const rows = Array.from({ length: 1200 }, (_, i) => ({ id: i, nested: { x: i } }));
+  sendRows(res, "t.ndjson", "ndjson", rows, ["id"]);
+  const lines = res.body.trim().split("\n");
+  assert.equal(lines.length, 1200);
+  assert.deepEqual(JSON.parse(lines[1199]), { id: 1199, nested: { x: 1199 } });
+});
+
+test("a full buffer waits for drain before the next batch", () => {
+  const res = fakeResponse({ full: true });
+  let served = 0;
+  // 1200 records in whatever batch sizes are asked for
+  const next = (count) => {
+    const n = Math.min(count, 1200 - served);
+    const out = Array.from({ length: n }, (_, i) => ({ id: served + i }));
+    served += n;
+    return out;
+  };
+  sendRows(res, "t.ndjson", "ndjson", next, ["id"]);
+  assert.equal(res.writes, 1);
+  assert.equal(served, 500);
+
+  res.emit("drain");
+  res.emit("drain");
+  assert.equal(res.body.trim().split("\n").length, 1200);
+  assert.equal(res.ended, false);
+  res.emit("drain");
+  assert.ok(res.ended);
+});
+
+test("a closed connection stops the export", () => {
+  const res = fakeResponse({ full: true });
+  sendRows(res, "t.csv", "csv", Array.from({ length: 1200 }, (_, i) => ({ id: i })), ["id"]);
+  res.destroyed = true;
+  res.emit("drain");
+  assert.equal(res.writes, 2); // header + first batch
+  assert.equal(res.ended, false);
+});
+
+test("timeseries rows carry mean, min and max per metric", () => {
+  const series = { t: [0], f1: [0.5], min: { f1: [0.2] }, max: { f1: [0.8] } };
+  assert.deepEqual(timeseriesRows(series, ["f1"]), {
+    columns: ["t", "f1", "f1_min", "f1_max"],
+    rows: [{ t: "1970-01-01T00:00:00.000Z", f1: 0.5, f1_min: 0.2, f1_max: 0.8 }]
+  });
+});
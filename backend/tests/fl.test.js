@@ -0,0 +1,69 @@
+// fl: FedAvg and the aggregation round
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fedAvg, sampleCount, clientWeight, runRound } = require("../fl");
+
+function near(actual, expected, eps = 1e-9) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((x, i) => assert.ok(Math.abs(x - expected[i]) < eps, `[${i}] ${x} != ${expected[i]}`));
+}
+
+function device(id, localW, extra = {}) {
+  return { id, name: id, dataSize: 100, localAccuracy: 0.9, localW, ...extra };
+}
+
+test("fedAvg is the weight-normalised mean", () => {
+  near(fedAvg([{ w: [0, 2], weight: 1 }, { w: [4, 6], weight: 3 }]), [3, 5]);
+  assert.equal(fedAvg([]), null);
+  assert.equal(fedAvg([{ w: [1], weight: 0 }]), null);
+});
+
+test("plain FedAvg weights each client by its data size", () => {
+  assert.equal(sampleCount({ dataSize: 100 }), 100);
+  assert.equal(sampleCount({}), 0);
+  assert.equal(clientWeight({ dataSize: 100 }, "fedavg").weight, 100);
+});
+
+test("a round averages the participants and pushes the result back", () => {
+  const a = device("a", [0, 0]);
+  const b = device("b", [3, 3], { dataSize: 200 });
+  const q = device("q", [90, 90], { quarantined: true });
+  const globalModel = { w: [1, 1], round: 1, accuracy: 0.5 };
+  const report = runRound({ devices: [a, b, q], globalModel });
+
+  near(globalModel.w, [2, 2]);
+  assert.equal(globalModel.round, 2);
+  near(a.localW, [2, 2]);
+  near(q.localW, [90, 90]);
+  assert.deepEqual(report.participants.map((p) => p.weight), [0.3333, 0.6667]);
+  assert.deepEqual(report.skipped, [{ deviceId: "q", deviceName: "q", reason: "quarantined" }]);
+});
+
+test("a round without participants leaves the global model alone", () => {
+  const globalModel = { w: [1, 1], round: 4, accuracy: 0.5 };
+  const report = runRound({ devices: [device("x", null)], globalModel });
+  assert.equal(globalModel.round, 4);
+  assert.equal(report.skipped[0].reason, "no local model");
+});
+
+test("adaptive weighting penalises drift unless the device asked for the round", () => {
+  const dev = { dataSize: 100, localAccuracy: 0.9, driftScore: 0.5 };
+  const drifting = clientWeight(dev, "adaptive");
+  const stable = clientWeight({ ...dev, driftScore: 0 }, "adaptive");
+  const requested = clientWeight({ ...dev, flRequested: true }, "adaptive");
+  assert.ok(drifting.weight < stable.weight);
+  assert.ok(requested.weight > stable.weight);
+  assert.equal(clientWeight({ ...dev, localAccuracy: 0.1 }, "adaptive").weight, 0);
+});
+
+test("an adaptive round reports who was downweighted or rejected", () => {
+  const good = device("good", [1, 1]);
+  const drifting = device("drifting", [1, 1], { driftScore: 1 });
+  const poor = device("poor", [9, 9], { localAccuracy: 0.2 });
+  const globalModel = { w: [0, 0], round: 1, accuracy: 0.5 };
+  const report = runRound({ devices: [good, drifting, poor], globalModel, aggregator: "adaptive" });
+
+  assert.deepEqual(report.downweighted, ["drifting"]);
+  assert.deepEqual(report.rejected, ["poor"]);
+  near(globalModel.w, [1, 1]);
+});
@@ -0,0 +1,110 @@
+// incident: alert deduplication and correlation
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { INCIDENT_DEFAULTS, signatureOf, correlate, closeStale } = require("../incident");
+const { createSimState, createPipeline } = require("../pipeline");
+const { seed } = require("../random");
+
+const T0 = Date.parse("2025-01-01T00:00:00.000Z");
+let ids = 0;
+
+// an anomaly alert `sec` seconds after T0
+function alert(sec, deviceId, extra = {}) {
+  return {
+    id: `a${ids++}`,
+    ts: new Date(T0 + sec * 1000).toISOString(),
+    deviceId,
+    deviceName: deviceId,
+    type: "anomaly",
+    attackClass: "ddos",
+    severity: "medium",
+    ...extra
+  };
+}
+
+test("signatures separate attack classes and drifted features", () => {
+  assert.equal(signatureOf(alert(0, "d1")), "anomaly:ddos");
+  assert.equal(signatureOf(alert(0, "d1", { attackClass: undefined })), "anomaly:generic");
+  assert.equal(signatureOf({ type: "drift", feature: "bytesOut" }), "drift:bytesOut");
+});
+
+test("repeats from one device are counted but not linked", () => {
+  const incidents = [];
+  const first = correlate(incidents, alert(0, "d1"));
+  const repeat = correlate(incidents, alert(10, "d1"));
+  const later = correlate(incidents, alert(50, "d1"));
+
+  assert.equal(first.created, true);
+  assert.equal(repeat.duplicate, true);
+  assert.equal(later.duplicate, false);
+  assert.equal(incidents.length, 1);
+  const [inc] = incidents;
+  assert.deepEqual([inc.count, inc.suppressed, inc.alertIds.length], [3, 1, 2]);
+  assert.deepEqual(inc.devices, [{ id: "d1", name: "d1", count: 3, lastAlertAt: later.incident.lastSeen }]);
+});
+
+test("alerts that triggered a response are never folded in", () => {
+  const incidents = [];
+  correlate(incidents, alert(0, "d1"));
+  assert.equal(correlate(incidents, alert(1, "d1"), INCIDENT_DEFAULTS, { keep: true }).duplicate, false);
+  assert.equal(incidents[0].alertIds.length, 2);
+});
+
+test("other devices join only soon after the last alert", () => {
+  const incidents = [];
+  correlate(incidents, alert(0, "d1"));
+  const joined = correlate(incidents, alert(5, "d2"));
+  assert.equal(joined.created, false);
+  assert.equal(joined.incident.scope, "multi_device");
+  // a multi-device anomaly is at least high
+  assert.equal(joined.incident.severity, "high");
+
+  const apart = correlate(incidents, alert(60, "d3"));
+  assert.equal(apart.created, true);
+  assert.equal(incidents.length, 2);
+  // a known device still joins within gapMs
+  assert.equal(correlate(incidents, alert(100, "d2")).incident, joined.incident);
+});
+
+test("different signatures and quiet gaps open new incidents", () => {
+  const incidents = [];
+  correlate(incidents, alert(0, "d1"));
+  assert.equal(correlate(incidents, alert(1, "d1", { attackClass: "port_scan" })).created, true);
+  assert.equal(correlate(incidents, alert(200, "d1")).created, true);
+  assert.equal(incidents.length, 3);
+});
+
+test("quiet incidents are closed once", () => {
+  const incidents = [];
+  correlate(incidents, alert(0, "d1"));
+  assert.deepEqual(closeStale(incidents, T0 + 60000), []);
+  const closed = closeStale(incidents, T0 + 121000);
+  assert.equal(closed.length, 1);
+  assert.equal(closed[0].closedAt, new Date(T0 + 121000).toISOString());
+  assert.deepEqual(closeStale(incidents, T0 + 500000), []);
+  // a closed incident takes no more alerts
+  assert.equal(correlate(incidents, alert(121, "d1")).created, true);
+});
+
+test("the pipeline logs repeats but keeps them out of the live list", () => {
+  seed(5);
+  const sim = createSimState();
+  const logged = [];
+  const sent = [];
+  const pipeline = createPipeline({
+    sim,
+    append: (kind, data) => kind === "alert" && logged.push(data),
+    broadcast: (type) => type === "alert_event" && sent.push(type)
+  });
+  pipeline.seedDevices();
+  const loud = { packetsPerSec: 5000, failedAuth: 2, bytesOut: 10000 };
+  pipeline.ingestTelemetry(sim.devices[0], loud, "Attack", "port_scan");
+  pipeline.ingestTelemetry(sim.devices[0], loud, "Attack", "port_scan");
+  seed(null);
+
+  assert.equal(logged.length, 2);
+  assert.equal(logged[1].duplicateOf, sim.incidents[0].id);
+  assert.equal(sim.alerts.length, 1);
+  assert.equal(sent.length, 1);
+  assert.equal(sim.incidents[0].suppressed, 1);
+});
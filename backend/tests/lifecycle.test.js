@@ -0,0 +1,60 @@
+// lifecycle: alert states, assignment and notes
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { newLifecycle, transition, assign, addNote, lifecycleOf } = require("../lifecycle");
+
+function alert() {
+  return { id: "a1", ts: "t0", ...newLifecycle("t0") };
+}
+
+test("alerts move open -> acknowledged -> resolved and can be reopened", () => {
+  const a = alert();
+  assert.equal(transition(a, "acknowledged", { by: "sam", ts: "t1" }), null);
+  assert.equal(transition(a, "resolved", { by: "sam", note: "patched", ts: "t2" }), null);
+  assert.equal(transition(a, "open", { by: "kim", ts: "t3" }), null);
+  assert.equal(transition(a, "false_positive", { ts: "t4" }), null);
+
+  assert.equal(a.state, "false_positive");
+  assert.deepEqual(a.history.map((h) => h.state), ["open", "acknowledged", "resolved", "open", "false_positive"]);
+  assert.deepEqual(a.notes, [{ ts: "t2", by: "sam", text: "patched" }]);
+});
+
+test("transitions outside the state machine are refused and change nothing", () => {
+  const a = alert();
+  assert.equal(transition(a, "open"), "cannot go from open to open");
+  assert.equal(transition(a, "closed"), 'unknown state "closed"');
+  transition(a, "acknowledged");
+  assert.equal(transition(a, "acknowledged"), "cannot go from acknowledged to acknowledged");
+  transition(a, "resolved");
+  assert.equal(transition(a, "acknowledged"), "cannot go from resolved to acknowledged");
+  assert.equal(a.state, "resolved");
+  assert.equal(a.history.length, 3);
+});
+
+test("assignment is recorded in the history", () => {
+  const a = alert();
+  assign(a, "kim", { by: "sam", ts: "t1" });
+  assign(a, "", { by: "kim", ts: "t2" });
+  assert.equal(a.assignee, null);
+  assert.deepEqual(a.history.slice(1).map((h) => h.note), ["assigned to kim", "assigned to nobody"]);
+});
+
+test("notes are trimmed and checked", () => {
+  const a = alert();
+  assert.equal(addNote(a, "  looks like a scan  ", { by: "sam", ts: "t1" }), null);
+  assert.equal(addNote(a, "   "), "note text is required");
+  assert.equal(addNote(a, 42), "note text is required");
+  assert.match(addNote(a, "x".repeat(2001)), /limited to 2000/);
+  assert.deepEqual(a.notes, [{ ts: "t1", by: "sam", text: "looks like a scan" }]);
+});
+
+test("alerts from before lifecycles start open", () => {
+  const old = { id: "a0", ts: "t0" };
+  assert.deepEqual(lifecycleOf(old), {
+    state: "open",
+    assignee: null,
+    notes: [],
+    history: [{ ts: "t0", state: "open", by: "system", note: null }]
+  });
+  assert.equal(transition({ id: "a1", ts: "t0" }, "resolved"), null);
+});
@@ -0,0 +1,56 @@
+// metrics: detection metrics over sliding windows and per device
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { metricsFrom, confusionOf, windowMetrics } = require("../metrics");
+const { createSimState, createPipeline } = require("../pipeline");
+const { seed } = require("../random");
+
+test("metrics from confusion counts", () => {
+  assert.deepEqual(metricsFrom({ TP: 3, FP: 1, TN: 5, FN: 1 }), {
+    precision: 0.75,
+    recall: 0.75,
+    f1: 0.75,
+    fpRate: 1 / 6
+  });
+  assert.deepEqual(metricsFrom({ TP: 0, FP: 0, TN: 0, FN: 0 }), { precision: 0, recall: 0, f1: 0, fpRate: 0 });
+});
+
+test("windows cover the last N labelled events and the last T seconds", () => {
+  const now = 100000;
+  const events = [
+    { ts: 10000, trueLabel: "Attack", predicted: "Normal" },
+    { ts: 50000, trueLabel: "Attack", predicted: "Attack" },
+    { ts: 60000, trueLabel: "Unknown", predicted: "Attack" },
+    { ts: 95000, trueLabel: "Normal", predicted: "Attack" },
+    { ts: 99000, trueLabel: "Normal", predicted: "Normal" }
+  ];
+  assert.deepEqual(confusionOf(events), { TP: 1, FP: 1, TN: 1, FN: 1 });
+
+  const out = windowMetrics(events, { events: 3, seconds: 10 }, now);
+  assert.deepEqual(
+    [out.lastEvents.size, out.lastEvents.events, out.lastEvents.TP, out.lastEvents.FN],
+    [3, 3, 1, 0]
+  );
+  assert.deepEqual(
+    [out.lastSeconds.size, out.lastSeconds.events, out.lastSeconds.FP, out.lastSeconds.fpRate],
+    [10, 2, 1, 0.5]
+  );
+});
+
+test("each device keeps its own confusion counts", () => {
+  seed(11);
+  const sim = createSimState();
+  const pipeline = createPipeline({ sim });
+  pipeline.seedDevices();
+  const [a, b] = sim.devices;
+  const quiet = { packetsPerSec: 200, failedAuth: 2, bytesOut: 10000 };
+  pipeline.ingestTelemetry(a, quiet, "Normal");
+  pipeline.ingestTelemetry(a, { ...quiet, packetsPerSec: 5000 }, "Attack");
+  pipeline.ingestTelemetry(b, quiet, "Unknown");
+  seed(null);
+
+  assert.deepEqual(a.confusion, { TP: 1, FP: 0, TN: 1, FN: 0 });
+  assert.deepEqual(b.confusion, { TP: 0, FP: 0, TN: 0, FN: 0 });
+  assert.equal(sim.stats.totalEvents, 2);
+  assert.equal(sim.scoredEvents.length, 3);
+});
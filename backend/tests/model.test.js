@@ -0,0 +1,53 @@
+// model: on-device training of the local classifier
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PARAM_DIM, splitWindow, trainDevice, maybeTrainDevice, evaluate } = require("../model");
+const { sampleCount } = require("../fl");
+const { seed } = require("../random");
+
+// benign traffic is quiet; attacks are loud on every feature
+function sample(i) {
+  const attack = i % 3 === 0;
+  return {
+    trueLabel: attack ? "Attack" : "Normal",
+    features: attack
+      ? { packetsPerSec: 2000 + i, failedAuth: 40, bytesOut: 900000 }
+      : { packetsPerSec: 120 + (i % 7), failedAuth: 0, bytesOut: 8000 }
+  };
+}
+
+test("splitWindow holds out every fifth labelled sample", () => {
+  const window = [...Array.from({ length: 10 }, (_, i) => sample(i)), { trueLabel: null, features: {} }];
+  const { train, holdout } = splitWindow(window);
+  assert.equal(train.length, 8);
+  assert.deepEqual(holdout, [window[4], window[9]]);
+});
+
+test("trainDevice waits for enough labelled data", () => {
+  const dev = { localW: new Array(PARAM_DIM).fill(0), window: [sample(0), sample(1)] };
+  assert.equal(trainDevice(dev), null);
+  assert.equal(dev.trainSize, undefined);
+});
+
+test("trainDevice learns a separable window and scores its holdout", () => {
+  seed(3);
+  const dev = { localW: new Array(PARAM_DIM).fill(0), window: Array.from({ length: 60 }, (_, i) => sample(i)) };
+  const out = trainDevice(dev);
+  seed(null);
+  assert.deepEqual([out.trainSize, out.holdoutSize], [48, 12]);
+  assert.equal(out.accuracy, 1);
+  assert.equal(dev.localAccuracy, 1);
+  assert.equal(evaluate(dev.localW, dev.window), 1);
+});
+
+test("maybeTrainDevice retrains every few samples and counts labelled ones", () => {
+  const dev = { dataSize: 50, localW: new Array(PARAM_DIM).fill(0), window: [] };
+  let trained = 0;
+  for (let i = 0; i < 40; i++) {
+    dev.window.push(i % 4 === 0 ? { trueLabel: null, features: sample(i).features } : sample(i));
+    if (maybeTrainDevice(dev, { every: 10, minSamples: 5 })) trained++;
+  }
+  assert.equal(trained, 4);
+  assert.equal(dev.labelledSamples, 30);
+  assert.equal(sampleCount(dev), 80);
+});
@@ -0,0 +1,125 @@
+// persistence: snapshot + log restore and the history index
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStorage } = require("../persistence");
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "persistence-test-"));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+let dirs = 0;
+function storage(opts = {}) {
+  const dir = opts.dir || path.join(root, `d${dirs++}`);
+  return createStorage({ enabled: true, dir, ...opts });
+}
+
+test("a snapshot comes back with the records logged after it", async () => {
+  const s = storage();
+  s.append("telemetry", { id: "t1" });
+  s.writeSnapshot({ round: 3 });
+  // the log keeps ms timestamps; the next record must be newer than the snapshot
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  s.append("telemetry", { id: "t2" });
+  s.append("alert", { id: "a1" });
+  s.stop();
+
+  const loaded = storage({ dir: s.status().dir }).load();
+  assert.deepEqual(loaded.state, { round: 3 });
+  assert.deepEqual(loaded.after.map((r) => [r.kind, r.data.id]), [["telemetry", "t2"], ["alert", "a1"]]);
+});
+
+test("stop writes a final snapshot and the log survives a restart", () => {
+  const s = storage();
+  s.append("fl_round", { round: 1 });
+  s.stop(() => ({ devices: ["d1"] }));
+
+  const again = storage({ dir: s.status().dir });
+  assert.deepEqual(again.load().state, { devices: ["d1"] });
+  assert.deepEqual(again.readLog().map((r) => r.kind), ["fl_round"]);
+  assert.equal(again.status().logRecords, 1);
+});
+
+test("a torn last line is skipped", () => {
+  const s = storage();
+  s.append("telemetry", { id: "t1" });
+  s.flush();
+  fs.appendFileSync(path.join(s.status().dir, "events.jsonl"), '{"kind":"telemetry","ts":1,"da');
+  assert.deepEqual(storage({ dir: s.status().dir }).readLog().map((r) => r.data.id), ["t1"]);
+});
+
+test("no snapshot or a broken one starts fresh", () => {
+  const s = storage();
+  assert.equal(s.load(), null);
+  fs.writeFileSync(path.join(s.status().dir, "snapshot.json"), "{");
+  const original = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(s.load(), null);
+  } finally {
+    console.error = original;
+  }
+});
+
+test("compaction keeps the newest maxRecords", () => {
+  const s = storage({ retention: { maxAgeDays: 7, maxRecords: 3 } });
+  for (let i = 0; i < 5; i++) s.append("telemetry", { id: `t${i}` });
+  s.compact();
+  assert.deepEqual(s.readLog().map((r) => r.data.id), ["t2", "t3", "t4"]);
+  assert.equal(s.status().lastCompaction.dropped, 2);
+});
+
+test("nothing touches the disk when persistence is off", () => {
+  const dir = path.join(root, "off");
+  const s = createStorage({ enabled: false, dir });
+  s.append("telemetry", { id: "t1" });
+  s.stop(() => ({}));
+  assert.equal(fs.existsSync(dir), false);
+  assert.equal(s.load(), null);
+});
+
+const indexOpts = { index: { alert: (a) => ({ id: a.id, severity: a.severity }) } };
+
+test("the index holds metas and reads records back by offset", () => {
+  const s = storage(indexOpts);
+  s.append("alert", { id: "a1", severity: "high", message: "ü first" });
+  s.append("telemetry", { id: "t1" });
+  s.append("alert", { id: "a2", severity: "low", message: "second" });
+
+  assert.deepEqual(s.entries("alert").map((e) => e.meta), [
+    { id: "a1", severity: "high" },
+    { id: "a2", severity: "low" }
+  ]);
+  assert.equal(s.entries("telemetry"), null);
+  // read flushes pending records first
+  assert.deepEqual(s.read([s.lookup("alert", "a2"), undefined, s.lookup("alert", "a1")]).map((d) => d && d.message), [
+    "second",
+    null,
+    "ü first"
+  ]);
+});
+
+test("the index is rebuilt on startup and starts over at a reset", () => {
+  const s = storage(indexOpts);
+  s.append("alert", { id: "old", severity: "high" });
+  s.append("reset", {});
+  assert.deepEqual(s.entries("alert"), []);
+  s.append("alert", { id: "new", severity: "low" });
+  s.stop();
+
+  const again = storage({ ...indexOpts, dir: s.status().dir });
+  assert.deepEqual(again.entries("alert").map((e) => e.meta.id), ["new"]);
+  assert.equal(again.lookup("alert", "old"), undefined);
+  assert.equal(again.read([again.lookup("alert", "new")])[0].severity, "low");
+});
+
+test("compaction re-indexes the records it keeps", () => {
+  const s = storage({ ...indexOpts, retention: { maxAgeDays: 7, maxRecords: 2 } });
+  for (let i = 0; i < 4; i++) s.append("alert", { id: `a${i}`, severity: "medium", n: i });
+  s.compact();
+  assert.deepEqual(s.entries("alert").map((e) => e.meta.id), ["a2", "a3"]);
+  assert.deepEqual(s.read(s.entries("alert")).map((d) => d.n), [2, 3]);
+  s.append("alert", { id: "a4", severity: "medium", n: 4 });
+  assert.equal(s.read([s.lookup("alert", "a4")])[0].n, 4);
+});
@@ -0,0 +1,115 @@
+// playbook: rule parsing, cooldowns and dry runs
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PLAYBOOK_DEFAULTS, parsePlaybooks, raiseSeverity, createResponder } = require("../playbook");
+
+const T0 = Date.parse("2025-01-01T00:00:00.000Z");
+
+function alert(sec, extra = {}) {
+  return {
+    id: `a${sec}`,
+    ts: new Date(T0 + sec * 1000).toISOString(),
+    deviceId: "d1",
+    deviceName: "Cam",
+    type: "anomaly",
+    severity: "high",
+    ...extra
+  };
+}
+
+const rule = {
+  id: "burst",
+  cooldownMs: 60000,
+  when: { minAlerts: 2, withinMs: 10000, severity: ["high"] },
+  actions: [{ type: "raise_severity" }, { type: "notify", message: "burst" }]
+};
+
+function responder(overrides = {}) {
+  const executed = [];
+  const logged = [];
+  const r = createResponder({
+    execute: (action, { alert: a }) => {
+      if (action.type === "notify" && overrides.failNotify) throw new Error("no channel");
+      executed.push([action.type, a.id]);
+      return "ok";
+    },
+    onAction: (record) => logged.push(record)
+  });
+  const { config } = parsePlaybooks({ enabled: true, rules: [{ ...rule, ...overrides.rule }] });
+  return { r, config, executed, logged };
+}
+
+test("rules are validated", () => {
+  const bad = [
+    [{ enabled: "yes" }, "enabled must be true or false"],
+    [{ rules: {} }, "rules must be a list"],
+    [{ rules: [{ ...rule, id: "" }] }, "rules[0].id must be a non-empty string"],
+    [{ rules: [{ ...rule, dryRun: "false" }] }, "rules[0].dryRun must be true or false"],
+    [{ rules: [{ ...rule, cooldownMs: -1 }] }, "rules[0].cooldownMs must be an integer >= 0"],
+    [{ rules: [{ ...rule, when: { minAlerts: 0, withinMs: 1 } }] }, "rules[0].when.minAlerts must be an integer >= 1"],
+    [{ rules: [{ ...rule, actions: [{ type: "reboot" }] }] }, /rules\[0\]\.actions\[0\]\.type must be one of/],
+    [{ rules: [{ ...rule, actions: [{ type: "quarantine" }] }] }, /durationMs must be an integer in 1\.\./],
+    [{ rules: [rule, rule] }, 'duplicate rule id "burst"']
+  ];
+  for (const [raw, expected] of bad) {
+    const { error } = parsePlaybooks(raw);
+    if (expected instanceof RegExp) assert.match(error, expected);
+    else assert.equal(error, expected);
+  }
+
+  const { config } = parsePlaybooks({ dryRun: true, rules: [rule] }, PLAYBOOK_DEFAULTS);
+  assert.equal(config.enabled, false);
+  assert.deepEqual([config.rules[0].name, config.rules[0].enabled, config.rules[0].dryRun], ["burst", true, false]);
+});
+
+test("a rule fires on a burst and then cools down per device", () => {
+  const { r, config, executed } = responder();
+  assert.deepEqual(r.observe(alert(0), config), []);
+  assert.deepEqual(r.observe(alert(1, { severity: "low" }), config), []);
+  assert.equal(r.observe(alert(2), config).length, 2);
+  assert.deepEqual(executed, [["raise_severity", "a2"], ["notify", "a2"]]);
+
+  // still a burst, but within the cooldown
+  assert.deepEqual(r.observe(alert(3), config), []);
+  assert.equal(r.observe(alert(3, { deviceId: "d2" }), config).length, 0);
+  assert.equal(r.observe(alert(4, { deviceId: "d2" }), config).length, 2);
+  // the cooldown is over 60 s after the rule fired
+  r.observe(alert(61), config);
+  assert.equal(r.observe(alert(62), config).length, 2);
+});
+
+test("dry runs log the actions without running them", () => {
+  const { r, config, executed, logged } = responder({ rule: { dryRun: true } });
+  r.observe(alert(0), config);
+  r.observe(alert(1), config);
+  assert.deepEqual(executed, []);
+  assert.deepEqual(logged.map((l) => [l.action, l.dryRun, l.result]), [
+    ["raise_severity", true, "dry run, not applied"],
+    ["notify", true, "dry run, not applied"]
+  ]);
+
+  const global = responder();
+  global.config.dryRun = true;
+  global.r.observe(alert(0), global.config);
+  global.r.observe(alert(1), global.config);
+  assert.deepEqual(global.executed, []);
+  assert.equal(global.logged.length, 2);
+});
+
+test("a failing action is logged and the others still run", () => {
+  const { r, config, executed, logged } = responder({ failNotify: true });
+  r.observe(alert(0), config);
+  r.observe(alert(1), config);
+  assert.deepEqual(executed, [["raise_severity", "a1"]]);
+  assert.equal(logged[1].result, "failed: no channel");
+});
+
+test("disabled playbooks and a reset forget everything", () => {
+  const { r, config } = responder();
+  assert.deepEqual(r.observe(alert(0), { ...config, enabled: false }), []);
+  r.observe(alert(1), config);
+  r.reset();
+  assert.deepEqual(r.observe(alert(2), config), []);
+  assert.equal(raiseSeverity("medium"), "high");
+  assert.equal(raiseSeverity("critical"), "critical");
+});
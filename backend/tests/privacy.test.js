@@ -0,0 +1,84 @@
+// differential privacy: clipping and the RDP accountant
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { dpAggregate, createAccountant, accountantStep, epsilonFor, epsilonAfterStep } = require("../privacy");
+const { createSimState, createPipeline } = require("../pipeline");
+
+test("epsilon is 0 before any round and grows with every round", () => {
+  const acc = createAccountant();
+  assert.equal(epsilonFor(acc, 1e-5), 0);
+  let last = 0;
+  for (let r = 0; r < 5; r++) {
+    accountantStep(acc, 1.0);
+    const eps = epsilonFor(acc, 1e-5);
+    assert.ok(eps > last, `round ${r + 1}: ${eps} <= ${last}`);
+    last = eps;
+  }
+  assert.equal(acc.rounds, 5);
+});
+
+test("more noise spends less budget", () => {
+  const low = createAccountant();
+  const high = createAccountant();
+  accountantStep(low, 0.8);
+  accountantStep(high, 2.0);
+  assert.ok(epsilonFor(high, 1e-5) < epsilonFor(low, 1e-5));
+});
+
+test("one Gaussian round matches the closed-form RDP bound", () => {
+  // min over alpha of alpha / (2 z^2) + log(1/delta) / (alpha - 1); for
+  // z = 1, delta = 1e-5 the optimum is near alpha = 5.8
+  const acc = createAccountant();
+  accountantStep(acc, 1.0);
+  const eps = epsilonFor(acc, 1e-5);
+  assert.ok(eps > 5.2 && eps < 5.6, `epsilon ${eps}`);
+});
+
+test("epsilonAfterStep does not record the round", () => {
+  const acc = createAccountant();
+  accountantStep(acc, 1.0);
+  const before = epsilonFor(acc, 1e-5);
+  const next = epsilonAfterStep(acc, 1.0, 1e-5);
+  assert.ok(next > before);
+  assert.equal(epsilonFor(acc, 1e-5), before);
+  assert.equal(acc.rounds, 1);
+});
+
+test("updates are clipped to clipNorm before averaging", () => {
+  const globalW = [0, 0];
+  const clients = [
+    { w: [3, 4], weight: 1 },  // norm 5, clipped to 1
+    { w: [0.3, 0.4], weight: 1 } // norm 0.5, kept
+  ];
+  const out = dpAggregate(clients, globalW, { clipNorm: 1, noiseMultiplier: 0 });
+  assert.deepEqual(out.clipped.map((c) => c.factor), [0.2, 1]);
+  assert.ok(Math.abs(out.wNoNoise[0] - 0.45) < 1e-9);
+  assert.ok(Math.abs(out.wNoNoise[1] - 0.6) < 1e-9);
+  assert.equal(out.sigma, 0);
+});
+
+test("DP rounds are refused once the next one would overspend the budget", () => {
+  const sim = createSimState();
+  const pipeline = createPipeline({ sim });
+  pipeline.seedDevices();
+  Object.assign(sim.flConfig.dp, { enabled: true, noiseMultiplier: 1, targetEpsilon: 8 });
+
+  const first = pipeline.executeFlRound();
+  assert.ok(first.report.dp.epsilon > 5 && first.report.dp.epsilon <= 8);
+  assert.equal(sim.privacy.rounds, 1);
+
+  const second = pipeline.executeFlRound();
+  assert.ok(second.report, "two rounds fit a budget of 8");
+  const third = pipeline.executeFlRound();
+  assert.equal(third.blocker.status, 409);
+  assert.equal(third.blocker.body.error, "privacy budget exhausted");
+  assert.equal(sim.privacy.rounds, 2);
+});
+
+test("DP rounds only run with a weighted aggregator", () => {
+  const sim = createSimState();
+  sim.flConfig.dp.enabled = true;
+  const { blocker } = createPipeline({ sim }).executeFlRound({ aggregator: "median" });
+  assert.equal(blocker.status, 400);
+  assert.equal(sim.globalModel.round, 1);
+});
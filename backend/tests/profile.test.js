@@ -0,0 +1,37 @@
+// profile: per-device online benign baselines
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createProfile, addSample, isWarm, observeProfile, profileStats, scoringBaseline } = require("../profile");
+
+const quiet = { packetsPerSec: 100, failedAuth: 0, bytesOut: 5000 };
+
+test("the profile keeps a running mean and sample std", () => {
+  const p = createProfile(3);
+  [10, 20, 30].forEach((x) => addSample(p, { ...quiet, packetsPerSec: x }));
+  const stats = profileStats(p);
+  assert.equal(stats.packetsPerSec.mean, 20);
+  assert.equal(stats.packetsPerSec.std, 10);
+  // constant features get a floor so z-scores stay finite
+  assert.equal(stats.failedAuth.std, 0.5);
+  assert.equal(stats.bytesOut.std, 250);
+});
+
+test("warm-up learns unless labelled attack, then only predicted-normal samples", () => {
+  const p = createProfile(2);
+  assert.equal(observeProfile(p, quiet, "Attack", "Normal"), true);
+  assert.equal(observeProfile(p, quiet, "Normal", "Attack"), false);
+  assert.equal(observeProfile(p, quiet, "Attack", "Unknown"), true);
+  assert.ok(isWarm(p));
+  assert.equal(observeProfile(p, quiet, "Attack", "Normal"), false);
+  assert.equal(observeProfile(p, quiet, "Normal", "Unknown"), true);
+  assert.equal(p.n, 3);
+});
+
+test("a device is scored against its static baseline until the profile is warm", () => {
+  const baseline = { packetsPerSec: { mean: 200, std: 23 } };
+  const dev = { baseline, profile: createProfile(2) };
+  assert.equal(scoringBaseline(dev), baseline);
+  addSample(dev.profile, quiet);
+  addSample(dev.profile, quiet);
+  assert.equal(scoringBaseline(dev).packetsPerSec.mean, 100);
+});
@@ -0,0 +1,109 @@
+// quarantine: FL exclusion, expiry and probation
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSimState, createPipeline } = require("../pipeline");
+const { parsePlaybooks } = require("../playbook");
+const { seed } = require("../random");
+
+const loud = { packetsPerSec: 5000, failedAuth: 2, bytesOut: 10000 };
+const quiet = { packetsPerSec: 200, failedAuth: 2, bytesOut: 10000 };
+
+// a pipeline on a hand-driven clock, with one rule quarantining a device
+// for a minute on its first high alert
+function setup(t) {
+  seed(9);
+  t.after(() => seed(null));
+  const clock = { now: Date.parse("2025-01-01T00:00:00.000Z") };
+  const sim = createSimState();
+  const pipeline = createPipeline({ sim, now: () => clock.now });
+  pipeline.seedDevices();
+  const { config } = parsePlaybooks({
+    enabled: true,
+    rules: [
+      {
+        id: "q",
+        when: { minAlerts: 1, withinMs: 1000, severity: ["high"] },
+        actions: [{ type: "quarantine", durationMs: 60000, probationEvents: 2 }]
+      }
+    ]
+  });
+  sim.playbooks = config;
+  return { sim, pipeline, clock, dev: sim.devices[0] };
+}
+
+test("a quarantined device loses its local update and sits out FL rounds", (t) => {
+  const { sim, pipeline, dev } = setup(t);
+  dev.localW = dev.localW.map((x) => x + 1);
+  pipeline.quarantineDevice(dev, { by: "analyst", reason: "suspicious" });
+
+  assert.deepEqual(dev.localW, sim.globalModel.w);
+  assert.equal(dev.quarantine.until, null);
+  assert.deepEqual(
+    [sim.quarantineLog[0].action, sim.quarantineLog[0].by, sim.quarantineLog[0].discardedUpdate],
+    ["quarantine", "analyst", true]
+  );
+
+  const { report } = pipeline.executeFlRound();
+  assert.deepEqual(report.skipped.map((s) => [s.deviceId, s.reason]), [[dev.id, "quarantined"]]);
+  assert.equal(report.participants.length, 2);
+
+  // an indefinite quarantine never expires
+  pipeline.expireResponses();
+  assert.equal(dev.quarantined, true);
+  pipeline.releaseDevice(dev, { by: "analyst", reason: "cleared" });
+  assert.deepEqual([dev.quarantined, dev.probation, sim.quarantineLog[0].action], [false, null, "release"]);
+});
+
+test("a playbook quarantine expires into probation that normal scores end", (t) => {
+  const { sim, pipeline, clock, dev } = setup(t);
+  pipeline.ingestTelemetry(dev, loud, "Attack");
+  assert.equal(dev.quarantined, true);
+  assert.equal(dev.quarantine.by, "playbook:q");
+  assert.equal(dev.quarantine.until, "2025-01-01T00:01:00.000Z");
+
+  clock.now += 59000;
+  pipeline.expireResponses();
+  assert.equal(dev.quarantined, true);
+  clock.now += 1000;
+  pipeline.expireResponses();
+  assert.equal(dev.quarantined, false);
+  assert.deepEqual(dev.probation, { by: "playbook:q", remaining: 2, durationMs: 60000 });
+  assert.equal(sim.quarantineLog[0].by, "expiry");
+
+  pipeline.ingestTelemetry(dev, quiet, "Normal");
+  assert.equal(dev.probation.remaining, 1);
+  pipeline.ingestTelemetry(dev, quiet, "Normal");
+  assert.equal(dev.probation, null);
+  assert.deepEqual(
+    sim.responseLog.slice(0, 2).map((r) => [r.action, r.result]),
+    [
+      ["release", "scores normal; probation over"],
+      ["release", "released on probation (2 events)"]
+    ]
+  );
+});
+
+test("an anomaly during probation sends the device back for the same time", (t) => {
+  const { sim, pipeline, clock, dev } = setup(t);
+  pipeline.ingestTelemetry(dev, loud, "Attack");
+  clock.now += 60000;
+  pipeline.expireResponses();
+  pipeline.ingestTelemetry(dev, quiet, "Normal");
+
+  clock.now += 5000;
+  pipeline.ingestTelemetry(dev, loud, "Attack");
+  assert.equal(dev.quarantined, true);
+  assert.equal(dev.quarantine.reason, "anomalous during probation");
+  assert.equal(dev.quarantine.until, new Date(clock.now + 60000).toISOString());
+  // the remaining probation carries over to the next release
+  assert.equal(dev.quarantine.probationEvents, 1);
+  // the playbook the same alert triggers leaves that quarantine alone
+  assert.deepEqual(
+    sim.responseLog.slice(0, 2).map((r) => [r.action, r.result]),
+    [
+      ["quarantine", "already quarantined"],
+      ["quarantine", `anomalous during probation; quarantined until ${dev.quarantine.until}`]
+    ]
+  );
+  assert.equal(sim.quarantineLog.filter((q) => q.action === "quarantine").length, 2);
+});
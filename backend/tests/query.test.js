@@ -0,0 +1,56 @@
+// cursor pagination for the history routes
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePaging, paginate } = require("../query");
+
+const keyOf = (r, sort) => r[sort];
+
+function records(n) {
+  // every third record shares its ts with the previous one
+  return Array.from({ length: n }, (_, i) => ({ id: `r${String(i).padStart(3, "0")}`, ts: i - (i % 3 === 2 ? 1 : 0), score: (i * 7) % 10 }));
+}
+
+function allPages(list, query) {
+  const ids = [];
+  let cursor;
+  for (;;) {
+    const paging = parsePaging({ ...query, ...(cursor ? { cursor } : {}) }, ["ts", "score"]);
+    assert.equal(paging.error, undefined);
+    const page = paginate(list, paging, keyOf);
+    ids.push(...page.items.map((r) => r.id));
+    assert.equal(page.total, list.length);
+    if (!page.nextCursor) return ids;
+    cursor = page.nextCursor;
+  }
+}
+
+test("pages cover every record once, in order", () => {
+  const list = records(23);
+  const desc = allPages(list, { limit: "5" });
+  assert.equal(desc.length, 23);
+  assert.equal(new Set(desc).size, 23);
+  assert.equal(desc[0], "r022");
+
+  const byScore = allPages(list, { sort: "score", order: "asc", limit: "4" });
+  const scores = byScore.map((id) => list.find((r) => r.id === id).score);
+  assert.deepEqual(scores, scores.slice().sort((a, b) => a - b));
+  assert.equal(new Set(byScore).size, 23);
+});
+
+test("a cursor stays valid while new records arrive", () => {
+  const list = records(10);
+  const first = paginate(list, parsePaging({ limit: "4" }, ["ts"]), keyOf);
+  list.push({ id: "new", ts: 100, score: 0 });
+  const second = paginate(list, parsePaging({ limit: "4", cursor: first.nextCursor }, ["ts"]), keyOf);
+  const seen = [...first.items, ...second.items].map((r) => r.id);
+  assert.equal(new Set(seen).size, 8);
+  assert.ok(!seen.includes("new"));
+});
+
+test("bad paging parameters are rejected", () => {
+  assert.match(parsePaging({ sort: "size" }, ["ts"]).error, /sort must be one of/);
+  assert.match(parsePaging({ order: "up" }, ["ts"]).error, /order/);
+  assert.match(parsePaging({ limit: "0" }, ["ts"]).error, /limit/);
+  assert.match(parsePaging({ limit: "501" }, ["ts"]).error, /limit/);
+  assert.equal(parsePaging({ cursor: "not-a-cursor" }, ["ts"]).error, "invalid cursor");
+});
@@ -0,0 +1,124 @@
+// dataset replay: config validation, CSV parsing and the pipeline feed
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseReplayConfig, createReplay } = require("../replay");
+const { createSimState, createPipeline } = require("../pipeline");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "replay-test-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function csv(name, text) {
+  fs.writeFileSync(path.join(dir, name), text);
+  return name;
+}
+
+const columns = { packetsPerSec: "pps", failedAuth: "fa", bytesOut: "bo", label: "label" };
+
+function readAll(raw) {
+  const { config, error } = parseReplayConfig(raw, dir);
+  assert.equal(error, undefined);
+  const replay = createReplay(config);
+  const records = [];
+  while (!replay.finished()) records.push(...replay.next(10));
+  const status = replay.status();
+  replay.close();
+  return { records, status };
+}
+
+test("rows map to features, labels and classes", () => {
+  const file = csv(
+    "basic.csv",
+    "pps,fa,bo,label\n10,0,100,BENIGN\n400,9,9000,DDoS\n5,1,50,smurf.\n"
+  );
+  const { records, status } = readAll({ path: file, columns, classMap: { ddos: "ddos" } });
+  assert.deepEqual(records.map((r) => r.features), [
+    { packetsPerSec: 10, failedAuth: 0, bytesOut: 100 },
+    { packetsPerSec: 400, failedAuth: 9, bytesOut: 9000 },
+    { packetsPerSec: 5, failedAuth: 1, bytesOut: 50 }
+  ]);
+  assert.deepEqual(records.map((r) => r.trueLabel), ["Normal", "Attack", "Attack"]);
+  assert.deepEqual(records.map((r) => r.trueClass), ["Normal", "ddos", "generic"]);
+  assert.equal(status.rows, 3);
+  assert.equal(status.skipped, 0);
+});
+
+test("quoted fields, scaling and column indexes", () => {
+  const file = csv("quoted.csv", '1,"2","3,000",normal\n');
+  const { records } = readAll({
+    path: file,
+    header: false,
+    columns: { packetsPerSec: 0, failedAuth: 1, bytesOut: 0, label: 3 },
+    scale: { bytesOut: 0.5 }
+  });
+  assert.deepEqual(records[0].features, { packetsPerSec: 1, failedAuth: 2, bytesOut: 0.5 });
+});
+
+test("empty, non-numeric and negative cells skip the row", () => {
+  const file = csv("gaps.csv", "pps,fa,bo,label\n,0,100,benign\n1,x,100,benign\n1,0,-5,benign\n1,0,100,\n2,0,200,benign\n");
+  const { records, status } = readAll({ path: file, columns });
+  assert.equal(records.length, 1);
+  assert.equal(records[0].features.packetsPerSec, 2);
+  assert.equal(status.skipped, 4);
+});
+
+test("without a label column, records are unlabelled", () => {
+  const file = csv("nolabel.csv", "pps,fa,bo\n1,0,100\n");
+  const { records } = readAll({ path: file, columns: { packetsPerSec: "pps", failedAuth: "fa", bytesOut: "bo" } });
+  assert.equal(records[0].trueLabel, "Unknown");
+  assert.equal(records[0].trueClass, undefined);
+});
+
+test("invalid configs are rejected", () => {
+  const file = csv("ok.csv", "pps,fa,bo,label\n1,0,1,benign\n");
+  const bad = [
+    [{ columns }, "replay.path must name a CSV file"],
+    [{ path: file, columns, scale: null }, "replay.scale must be an object"],
+    [{ path: file, columns, scale: { bytesOut: 0 } }, "replay.scale.bytesOut must be a finite number > 0"],
+    [{ path: file, columns, scale: { bytes: 1 } }, /replay.scale keys/],
+    [{ path: file, columns, classMap: { ddos: "flood" } }, /replay.classMap.ddos must be one of/],
+    [{ path: file, columns, rowsPerTick: 0 }, /rowsPerTick/],
+    [{ path: file, preset: "kdd" }, /replay.preset/],
+    [{ path: "missing.csv", columns }, "no such file: missing.csv"]
+  ];
+  for (const [raw, expected] of bad) {
+    const { error } = parseReplayConfig(raw, dir);
+    if (expected instanceof RegExp) assert.match(error, expected);
+    else assert.equal(error, expected);
+  }
+});
+
+test("containment is checked before the file system", () => {
+  const inner = path.join(dir, "inner");
+  fs.mkdirSync(inner, { recursive: true });
+  // an existing file and a missing one outside the root give the same error
+  for (const p of ["../ok.csv", "../missing.csv", path.join(os.tmpdir(), "x.csv")]) {
+    const { error } = parseReplayConfig({ path: p, columns }, inner, { within: inner });
+    assert.equal(error, `replay files must be inside ${inner}`);
+  }
+});
+
+test("replayed rows go through the pipeline until the file runs out", () => {
+  const rows = Array.from({ length: 5 }, (_, i) => (i % 2 ? "5000,40,900000,DDoS" : "200,2,10000,BENIGN"));
+  const file = csv("feed.csv", `pps,fa,bo,label\n${rows.join("\n")}\n`);
+  const { config } = parseReplayConfig({ path: file, columns, rowsPerTick: 2 }, dir);
+  const sim = createSimState();
+  const pipeline = createPipeline({ sim });
+  sim.replay = { source: createReplay(config), config, next: 0 };
+
+  const fed = [];
+  let out;
+  do {
+    out = pipeline.tick();
+    fed.push(out.replayed);
+  } while (!out.replayFinished);
+  sim.replay.source.close();
+
+  assert.deepEqual(fed, [2, 2, 1]);
+  assert.equal(sim.stats.totalEvents, 5);
+  // round-robin over the seeded devices
+  assert.deepEqual(sim.devices.map((d) => d.window.length), [2, 2, 1]);
+  assert.equal(sim.telemetry.filter((e) => e.trueClass === "generic").length, 2);
+});
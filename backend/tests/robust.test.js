@@ -0,0 +1,72 @@
+// robust: Byzantine-robust aggregation rules and the poisoning clients
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fedAvg } = require("../fl");
+const { robustAggregate } = require("../robust");
+const { PARAM_DIM } = require("../model");
+const { makePoison, submittedWeights, backdoorAttackProbability } = require("../poisoning");
+
+function near(actual, expected, eps = 1e-9) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((x, i) => assert.ok(Math.abs(x - expected[i]) < eps, `[${i}] ${x} != ${expected[i]}`));
+}
+
+// four honest clients around [1, 1, 1] and one far-off attacker
+const honest = [
+  { w: [1.0, 1.1, 0.9], weight: 1 },
+  { w: [0.9, 1.0, 1.1], weight: 1 },
+  { w: [1.1, 0.9, 1.0], weight: 1 },
+  { w: [1.0, 1.0, 1.0], weight: 1 }
+];
+const attacker = { w: [50, -50, 50], weight: 1 };
+
+test("coordinate median ignores one outlier", () => {
+  const { w } = robustAggregate("median", [...honest, attacker], {});
+  w.forEach((x) => assert.ok(Math.abs(x - 1) <= 0.1, `median coordinate ${x}`));
+});
+
+test("trimmed mean cuts the extremes and rejects a client extreme everywhere", () => {
+  const { w, decisions } = robustAggregate("trimmed_mean", [...honest, attacker], { trimRatio: 0.2 });
+  w.forEach((x) => assert.ok(Math.abs(x - 1) <= 0.1, `trimmed coordinate ${x}`));
+  assert.equal(decisions[4].status, "rejected");
+});
+
+test("krum and multi-krum reject the attacker", () => {
+  const krum = robustAggregate("krum", [...honest, attacker], { byzantine: 1 });
+  assert.equal(krum.decisions[4].status, "rejected");
+  assert.equal(krum.decisions.filter((d) => d.status === "accepted").length, 1);
+
+  const multi = robustAggregate("multi_krum", [...honest, attacker], { byzantine: 1 });
+  assert.equal(multi.decisions[4].status, "rejected");
+  near(multi.w, fedAvg(honest));
+});
+
+test("norm clipping bounds every update", () => {
+  const globalW = [1, 1, 1];
+  const { w, decisions, clipNorm } = robustAggregate("norm_clip", [...honest, attacker], { clipNorm: 0.5 }, globalW);
+  assert.equal(clipNorm, 0.5);
+  assert.equal(decisions[4].status, "downweighted");
+  // the attacker moves the mean by at most clipNorm / n
+  const shift = Math.hypot(...w.map((x, i) => x - globalW[i]));
+  assert.ok(shift <= 0.5 / 5 + 0.1, `shift ${shift}`);
+});
+
+test("robustAggregate returns null without clients", () => {
+  assert.equal(robustAggregate("median", [], {}), null);
+});
+
+test("poisoned clients flip or scale their update", () => {
+  const globalW = [1, 1];
+  const localW = [2, 0];
+  near(submittedWeights({ localW, poison: makePoison("sign_flip", 2) }, globalW), [-1, 3]);
+  near(submittedWeights({ localW, poison: makePoison("scale") }, globalW), [11, -9]);
+  near(submittedWeights({ localW, poison: makePoison("label_flip") }, globalW), localW);
+  near(submittedWeights({ localW }, globalW), localW);
+});
+
+test("a backdoor client makes the trigger look benign", () => {
+  const globalW = new Array(PARAM_DIM).fill(0);
+  const w = submittedWeights({ localW: globalW, poison: makePoison("backdoor", 1) }, globalW);
+  assert.equal(backdoorAttackProbability(globalW), 0.5);
+  assert.ok(backdoorAttackProbability(w) < 0.01);
+});
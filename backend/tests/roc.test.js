@@ -0,0 +1,33 @@
+// roc: ROC / PR curves and the operating point
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { rocCurves } = require("../roc");
+
+function ev(score, trueLabel, threshold = 0.5) {
+  return { score, trueLabel, threshold, predicted: score > threshold ? "Attack" : "Normal" };
+}
+
+test("curves need both classes", () => {
+  assert.equal(rocCurves([ev(0.9, "Attack"), ev(0.1, "Unknown")]), null);
+  assert.equal(rocCurves([]), null);
+});
+
+test("perfectly separated scores give AUC 1", () => {
+  const out = rocCurves([ev(0.9, "Attack"), ev(0.8, "Attack"), ev(0.2, "Normal"), ev(0.1, "Normal"), ev(0.5, "Unknown")]);
+  assert.equal(out.n, 4);
+  assert.equal(out.rocAuc, 1);
+  assert.equal(out.prAuc, 1);
+  assert.deepEqual(out.roc[out.roc.length - 1], { threshold: 0.1, fpr: 1, tpr: 1 });
+});
+
+test("reversed scores give AUC 0 and tied scores 0.5", () => {
+  assert.equal(rocCurves([ev(0.1, "Attack"), ev(0.9, "Normal")]).rocAuc, 0);
+  const tied = rocCurves([ev(0.5, "Attack"), ev(0.5, "Normal")]);
+  assert.equal(tied.rocAuc, 0.5);
+  assert.equal(tied.roc.length, 1);
+});
+
+test("the operating point uses each event's own prediction", () => {
+  const out = rocCurves([ev(0.9, "Attack"), ev(0.4, "Attack", 0.3), ev(0.6, "Normal"), ev(0.2, "Normal", 0.3)]);
+  assert.deepEqual(out.operatingPoint, { threshold: 0.4, fpr: 0.5, tpr: 1, precision: 0.6667, recall: 1 });
+});
@@ -0,0 +1,42 @@
+// rollup: multi-resolution timeseries
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RESOLUTIONS, MAX_AUTO_POINTS, createRollups, addPoint, pickResolution, rollupSeries } = require("../rollup");
+
+test("buckets keep mean, min and max per metric", () => {
+  const r = createRollups(["f1", "acc"]);
+  addPoint(r, 1000, { f1: 0.2, acc: 0.9 });
+  addPoint(r, 5000, { f1: 0.6 });
+  addPoint(r, 12000, { f1: 1, acc: 0.5 });
+
+  const tens = rollupSeries(r, "10s");
+  assert.deepEqual(tens.t, [0, 10000]);
+  assert.deepEqual(tens.f1, [0.4, 1]);
+  assert.deepEqual(tens.min.f1, [0.2, 1]);
+  assert.deepEqual(tens.max.f1, [0.6, 1]);
+  // a missing value does not count towards the mean
+  assert.deepEqual(tens.acc, [0.9, 0.5]);
+
+  assert.deepEqual(rollupSeries(r, "raw").t, [1000, 5000, 12000]);
+  assert.deepEqual(rollupSeries(r, "1m", 0, 0).f1, [0.6]);
+});
+
+test("each level keeps a bounded number of buckets", () => {
+  const r = createRollups(["f1"]);
+  for (let i = 0; i < RESOLUTIONS.raw.keep + 5; i++) addPoint(r, i * 1000, { f1: 1 });
+  assert.equal(r.levels.raw.length, RESOLUTIONS.raw.keep);
+  assert.equal(r.levels.raw[0].t, 5000);
+  assert.equal(r.startedAt, 0);
+});
+
+test("the finest resolution that covers the range within the point budget wins", () => {
+  const r = createRollups(["f1"]);
+  for (let i = 0; i < 100; i++) addPoint(r, i * 1000, { f1: 1 });
+  assert.equal(pickResolution(r), "raw");
+
+  for (let i = 100; i < 2000; i++) addPoint(r, i * 1000, { f1: 1 });
+  // raw no longer reaches back to the start; 10s has 200 buckets
+  assert.equal(pickResolution(r), "10s");
+  assert.equal(pickResolution(r, 1900000), "raw");
+  assert.ok(rollupSeries(r, pickResolution(r)).t.length <= MAX_AUTO_POINTS);
+});
@@ -0,0 +1,88 @@
+// scenario: timeline validation and step timing
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseScenario, createScenarioRunner } = require("../scenario");
+
+test("steps are validated and sorted by offset", () => {
+  assert.match(parseScenario({ steps: [] }).error, /non-empty/);
+  assert.match(parseScenario({ steps: [{ at: -1, action: "drift", level: 0.5 }] }).error, /steps\[0\]\.at/);
+  assert.match(parseScenario({ steps: [{ at: 0, action: "nap" }] }).error, /action must be one of/);
+  assert.match(parseScenario({ steps: [{ at: 0, action: "attack", type: "ddos", intensity: 2 }] }).error, /intensity/);
+  assert.match(parseScenario({ steps: [{ at: 0, action: "drift", level: 0.5, over: "soon" }] }).error, /over/);
+
+  const { scenario } = parseScenario({
+    steps: [
+      { at: 20, action: "fl_round" },
+      { at: 5, action: "drift", level: 0.3 },
+      { at: 5, action: "attack", type: "ddos" }
+    ]
+  });
+  assert.equal(scenario.name, "scenario");
+  assert.deepEqual(scenario.steps.map((s) => [s.at, s.action]), [[5, "drift"], [5, "attack"], [20, "fl_round"]]);
+});
+
+function runner(t, steps) {
+  t.mock.timers.enable({ apis: ["setInterval", "Date"], now: 0 });
+  const calls = [];
+  const r = createScenarioRunner({
+    execute: (step, fraction) => {
+      if (step.action === "fl_round" && step.aggregator === "bad") throw new Error("unknown aggregator");
+      calls.push([Date.now() / 1000, step.action, Number(fraction.toFixed(2))]);
+    },
+    checkEveryMs: 1000
+  });
+  r.start(parseScenario({ steps }).scenario);
+  return { r, calls };
+}
+
+// one check at a time, so Date.now() matches each check
+function advance(t, seconds) {
+  for (let i = 0; i < seconds; i++) t.mock.timers.tick(1000);
+}
+
+test("steps fire at their offset and ramps run until done", (t) => {
+  const { r, calls } = runner(t, [
+    { at: 0, action: "attack", type: "ddos" },
+    { at: 2, action: "drift", level: 1, over: 4 },
+    { at: 3, action: "fl_round", aggregator: "bad" }
+  ]);
+  assert.deepEqual(calls, [[0, "attack", 1]]);
+
+  advance(t, 7);
+  assert.deepEqual(calls.slice(1), [
+    [2, "drift", 0],
+    [3, "drift", 0.25],
+    [4, "drift", 0.5],
+    [5, "drift", 0.75],
+    [6, "drift", 1]
+  ]);
+  const status = r.status();
+  assert.equal(status.state, "finished");
+  assert.equal(status.duration, 6);
+  assert.deepEqual(status.steps.map((s) => s.status), ["done", "done", "failed"]);
+  assert.equal(status.steps[2].error, "unknown aggregator");
+});
+
+test("a paused scenario does not advance", (t) => {
+  const { r, calls } = runner(t, [{ at: 5, action: "fl_round" }]);
+  advance(t, 3);
+  assert.equal(r.pause(), true);
+  assert.equal(r.pause(), false);
+  advance(t, 10);
+  assert.deepEqual(calls, []);
+  assert.equal(r.status().elapsed, 3);
+
+  r.resume();
+  advance(t, 2);
+  assert.deepEqual(calls, [[15, "fl_round", 1]]);
+  assert.equal(r.isActive(), false);
+});
+
+test("abort stops the remaining steps", (t) => {
+  const { r, calls } = runner(t, [{ at: 5, action: "fl_round" }]);
+  assert.equal(r.abort(), true);
+  advance(t, 10);
+  assert.deepEqual(calls, []);
+  assert.equal(r.status().state, "aborted");
+  assert.equal(r.abort(), false);
+});
@@ -0,0 +1,79 @@
+// secure aggregation: Shamir shares and mask cancellation
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { splitSecret, combineShares, secureAggregate } = require("../secagg");
+const { fedAvg, runRound } = require("../fl");
+
+function near(actual, expected, eps = 1e-6) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((x, i) => assert.ok(Math.abs(x - expected[i]) < eps, `[${i}] ${x} != ${expected[i]}`));
+}
+
+function clients(n) {
+  return Array.from({ length: n }, (_, i) => ({
+    device: { id: `d${i}`, name: `Device ${i}` },
+    w: [0.1 * i, -0.2 * i, 1 + i],
+    weight: 10 + i
+  }));
+}
+
+test("any t Shamir shares rebuild the secret", () => {
+  const secret = 123456789012345n;
+  const shares = splitSecret(secret, 5, 3);
+  assert.equal(shares.length, 5);
+  assert.equal(combineShares(shares.slice(0, 3)), secret);
+  assert.equal(combineShares([shares[4], shares[1], shares[2]]), secret);
+  assert.equal(combineShares(shares), secret);
+});
+
+test("fewer than t shares do not rebuild the secret", () => {
+  const secret = 987654321n;
+  const shares = splitSecret(secret, 5, 3);
+  assert.notEqual(combineShares(shares.slice(0, 2)), secret);
+});
+
+test("masks cancel: the secure sum equals FedAvg", () => {
+  const cs = clients(4);
+  const { w, dropped, log } = secureAggregate(cs, { threshold: 0, dropouts: new Set() });
+  near(w, fedAvg(cs));
+  assert.deepEqual(dropped, []);
+  assert.equal(log.pairwiseMasks, 6);
+  // what the server sees is far from the plain update
+  log.clients.forEach((c) => assert.ok(c.maskedNorm > 1000 * c.plainNorm));
+});
+
+test("dropped clients' masks are removed with the survivors' shares", () => {
+  const cs = clients(5);
+  const { w, dropped, log } = secureAggregate(cs, { threshold: 3, dropouts: new Set(["d1", "d3"]) });
+  near(w, fedAvg(cs.filter((c) => !["d1", "d3"].includes(c.device.id))));
+  assert.deepEqual(dropped, ["d1", "d3"]);
+  assert.ok(log.recovered.every((r) => r.keyMatches));
+});
+
+test("the round aborts when fewer than threshold clients survive", () => {
+  const { w, log } = secureAggregate(clients(4), { threshold: 3, dropouts: new Set(["d0", "d1"]) });
+  assert.equal(w, null);
+  assert.ok(log.aborted);
+});
+
+test("a secure round matches plain FedAvg and leaves dropouts' models alone", () => {
+  const devices = [0, 1, 2, 3].map((i) => ({
+    id: `d${i}`,
+    name: `Device ${i}`,
+    dataSize: 100 + i,
+    localAccuracy: 0.9,
+    localW: [i, -i, 1]
+  }));
+  const globalModel = { w: [0, 0, 0], round: 1, accuracy: 0.5 };
+  const report = runRound({
+    devices,
+    globalModel,
+    secureAgg: { enabled: true, threshold: 2, dropouts: new Set(["d2"]) }
+  });
+
+  assert.ok(report.secureAgg.matchesPlain);
+  assert.equal(report.participants[2].status, "dropped");
+  assert.equal(globalModel.round, 2);
+  near(devices[2].localW, [2, -2, 1]);
+  near(devices[0].localW, globalModel.w);
+});
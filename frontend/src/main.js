@@ -11,6 +11,10 @@ const API_BASE = window.location.hostname === "localhost"
   ? "/api"
   : `https://${RENDER_HOST}/api`;
 
+const SEVERITY_DOT = { critical: "bad", high: "bad", medium: "warn" };
+const POISON_TYPES = ["sign_flip", "scale", "backdoor", "label_flip"];
+const DRIFT_DETECTORS = ["adwin", "page_hinkley", "ks"];
+
 // ---- STATE ----
 const state = {
   ws: null,
@@ -32,9 +36,21 @@ const state = {
     accuracy: 0.92
   },
   alerts: [],
+  incidents: [],
   telemetry: [],
+  windowed: null,
+  lastRound: null,
+  adaptations: [],
+  responses: [],
+  calibration: null,
+  privacy: null,
   timeseries: null,
-  chart: null
+  tsResolution: null,
+  scenario: null,
+  chart: null,
+  roc: null,
+  rocChart: null,
+  prChart: null
 };
 
 // ---- SMALL HELPERS ----
@@ -106,6 +122,15 @@ function renderBadges() {
     ["Global acc", fmt(gm.accuracy, 3)],
     ["Round", gm.round ?? "-"]
   ];
+  if (state.calibration) {
+    items.push([
+      "Thresholds",
+      state.calibration.enabled ? `calibrated @ FPR ${fmt(state.calibration.targetFpr, 3)}` : "fixed"
+    ]);
+  }
+  if (state.privacy && (state.privacy.enabled || state.privacy.rounds > 0)) {
+    items.push(["ε", `${fmt(state.privacy.epsilon, 2)} / ${fmt(state.privacy.targetEpsilon, 1)}`]);
+  }
 
   for (const [k, v] of items) {
     const b = document.createElement("div");
@@ -149,9 +174,29 @@ function renderDevicesTables() {
       td1.textContent = `${d.name} (${d.model})`;
 
       const drift = d.driftScore ?? 0;
-      const driftClass = drift > 0.6 ? "bad" : drift > 0.35 ? "warn" : "good";
+      const driftClass =
+        d.driftState === "drift" ? "bad" : d.driftState === "warning" ? "warn" : "good";
       const td2 = document.createElement("td");
-      td2.appendChild(pill(fmt(drift, 3), driftClass));
+      td2.appendChild(pill(`${d.driftState || "stable"} • ${fmt(drift, 3)}`, driftClass));
+      if (d.driftState === "drift" && d.driftFeature) {
+        const feat = document.createElement("div");
+        feat.className = "small mono";
+        feat.textContent = d.driftFeature;
+        td2.appendChild(feat);
+      }
+
+      const cal = d.calibration;
+      const tdThr = document.createElement("td");
+      if (cal) {
+        const off = cal.achievedFpr !== null && cal.achievedFpr > 2 * cal.targetFpr;
+        tdThr.appendChild(pill(fmt(cal.threshold, 3), cal.calibrated ? (off ? "warn" : "good") : ""));
+        const info = document.createElement("div");
+        info.className = "small mono";
+        info.textContent =
+          `FPR ${fmt(cal.achievedFpr, 3)}` +
+          (cal.calibrated ? ` • ${cal.reason} ${new Date(cal.calibratedAt).toLocaleTimeString()}` : "");
+        tdThr.appendChild(info);
+      }
 
       const td3 = document.createElement("td");
       td3.textContent = fmt(d.localAccuracy, 3);
@@ -160,6 +205,23 @@ function renderDevicesTables() {
       td4.appendChild(
         pill(d.quarantined ? "quarantined" : "active", d.quarantined ? "bad" : "good")
       );
+      if (d.poison) td4.appendChild(pill(`poisoned: ${d.poison.type}`, "warn"));
+      if (d.profileSamples < d.profileWarmup) {
+        td4.appendChild(pill(`warm-up ${d.profileSamples}/${d.profileWarmup}`, "warn"));
+      }
+      if (d.adapting) td4.appendChild(pill("adapting", "warn"));
+      if (d.flRequested) td4.appendChild(pill("FL requested", "good"));
+      if (d.quarantined && d.quarantine) {
+        const q = d.quarantine;
+        const info = document.createElement("div");
+        info.className = "small";
+        info.textContent =
+          `${q.reason || "no reason"} • ${q.by} • since ${new Date(q.since).toLocaleTimeString()}` +
+          (q.until ? ` until ${new Date(q.until).toLocaleTimeString()}` : "");
+        td4.appendChild(info);
+      }
+      if (d.probation) td4.appendChild(pill(`probation ${d.probation.remaining}`, "warn"));
+      if (d.flExcluded) td4.appendChild(pill("excluded from FL", "warn"));
 
       const td5 = document.createElement("td");
       const row = document.createElement("div");
@@ -169,7 +231,12 @@ function renderDevicesTables() {
       qBtn.className = `btn ${d.quarantined ? "" : "bad"}`;
       qBtn.textContent = "Quarantine";
       qBtn.onclick = async () => {
-        await apiPost(`/devices/${d.id}/quarantine`, {});
+        const reason = window.prompt(`Why quarantine ${d.name}?`);
+        if (!reason) return;
+        const minutes = Number(window.prompt("Release after how many minutes? (empty = never)") || 0);
+        const body = { reason };
+        if (minutes > 0) body.durationMs = Math.round(minutes * 60000);
+        await apiPost(`/devices/${d.id}/quarantine`, body);
         await refreshDevices();
       };
 
@@ -181,11 +248,40 @@ function renderDevicesTables() {
         await refreshDevices();
       };
 
+      const poisonSel = document.createElement("select");
+      for (const t of ["none", ...POISON_TYPES]) {
+        const o = document.createElement("option");
+        o.value = t;
+        o.textContent = t === "none" ? "honest" : t;
+        poisonSel.appendChild(o);
+      }
+      poisonSel.value = d.poison ? d.poison.type : "none";
+      poisonSel.onchange = async () => {
+        await apiPost(`/devices/${d.id}/poison`, { type: poisonSel.value });
+        await refreshDevices();
+      };
+
+      const detectorSel = document.createElement("select");
+      for (const t of DRIFT_DETECTORS) {
+        const o = document.createElement("option");
+        o.value = t;
+        o.textContent = t;
+        detectorSel.appendChild(o);
+      }
+      detectorSel.value = d.driftDetector || "page_hinkley";
+      detectorSel.title = "Drift detector";
+      detectorSel.onchange = async () => {
+        await apiPost(`/devices/${d.id}/drift-detector`, { detector: detectorSel.value });
+        await refreshDevices();
+      };
+
       row.appendChild(qBtn);
       row.appendChild(uBtn);
+      row.appendChild(poisonSel);
+      row.appendChild(detectorSel);
       td5.appendChild(row);
 
-      [td1, td2, td3, td4, td5].forEach((td) => tr.appendChild(td));
+      [td1, td2, tdThr, td3, td4, td5].forEach((td) => tr.appendChild(td));
       tbody.appendChild(tr);
     }
   });
@@ -210,7 +306,7 @@ function renderStreams() {
 
     const sev = ev.predicted === "Attack" ? "bad" : "good";
     top.appendChild(
-      pill(`${ev.predicted} • ${fmt(ev.score, 3)} (thr ${fmt(ev.threshold, 3)})`, sev)
+      pill(`${ev.predictedClass || ev.predicted} • ${fmt(ev.score, 3)} (thr ${fmt(ev.threshold, 3)})`, sev)
     );
 
     const ts = document.createElement("span");
@@ -223,7 +319,7 @@ function renderStreams() {
     msg.textContent =
       `${ev.deviceName} | packets=${ev.features.packetsPerSec}, ` +
       `failedAuth=${ev.features.failedAuth}, bytesOut=${ev.features.bytesOut} | ` +
-      `true=${ev.trueLabel}`;
+      `true=${ev.trueClass || ev.trueLabel}`;
 
     item.appendChild(top);
     item.appendChild(msg);
@@ -237,7 +333,7 @@ function renderStreams() {
     const top = document.createElement("div");
     top.className = "top";
 
-    const sevDot = a.severity === "high" ? "bad" : a.severity === "medium" ? "warn" : "good";
+    const sevDot = SEVERITY_DOT[a.severity] || "good";
     top.appendChild(pill(`${a.severity} • ${a.type}`, sevDot));
 
     const ts = document.createElement("span");
@@ -252,10 +348,95 @@ function renderStreams() {
 
     item.appendChild(top);
     item.appendChild(msg);
+    item.appendChild(alertTriage(a));
     alertsRoot.appendChild(item);
   }
 }
 
+// ---- INCIDENTS (correlated alerts) ----
+function renderIncidents() {
+  const root = document.getElementById("incidents-stream");
+  root.textContent = "";
+  const active = state.incidents.filter((inc) => inc.state === "active").length;
+  document.getElementById("incidents-count").textContent =
+    `${active} active / ${state.incidents.length} incidents`;
+
+  for (const inc of state.incidents) {
+    const item = document.createElement("div");
+    item.className = "item";
+
+    const top = document.createElement("div");
+    top.className = "top";
+    const sevDot = inc.state === "closed" ? "good" : SEVERITY_DOT[inc.severity] || "warn";
+    top.appendChild(pill(`${inc.severity} • ${inc.signature} • ${inc.state}`, sevDot));
+    if (inc.scope === "multi_device") top.appendChild(pill(`${inc.devices.length} devices`, "bad"));
+
+    const ts = document.createElement("span");
+    ts.className = "small mono";
+    ts.textContent = `${inc.firstSeen} → ${inc.lastSeen}`;
+    top.appendChild(ts);
+
+    const msg = document.createElement("div");
+    msg.className = "small";
+    msg.textContent =
+      `${inc.count} alerts (${inc.suppressed} deduplicated) on ` +
+      inc.devices.map((d) => `${d.name} ×${d.count}`).join(", ");
+
+    item.appendChild(top);
+    item.appendChild(msg);
+    root.appendChild(item);
+  }
+}
+
+const ALERT_STATE_DOT = { open: "bad", acknowledged: "warn", resolved: "good", false_positive: "good" };
+
+// state, assignee, last note and the lifecycle buttons of one alert
+function alertTriage(a) {
+  const row = document.createElement("div");
+  row.className = "row";
+
+  const st = a.state || "open";
+  row.appendChild(pill(st.replace("_", " "), ALERT_STATE_DOT[st]));
+  if (a.assignee) row.appendChild(pill(`@${a.assignee}`, "good"));
+
+  const action = (label, cls, path, body) => {
+    const b = document.createElement("button");
+    b.className = `btn ${cls}`;
+    b.textContent = label;
+    b.onclick = async () => {
+      const payload = typeof body === "function" ? body() : body;
+      if (payload === null) return; // prompt cancelled
+      await apiPost(`/alerts/${a.id}/${path}`, payload);
+    };
+    row.appendChild(b);
+  };
+
+  if (st === "open") action("Ack", "", "ack", {});
+  if (st === "open" || st === "acknowledged") {
+    action("Resolve", "good", "resolve", {});
+    action("False positive", "", "resolve", { falsePositive: true });
+  } else {
+    action("Reopen", "bad", "reopen", {});
+  }
+  action("Assign", "", "assign", () => {
+    const who = window.prompt("Assign to (empty to unassign)", a.assignee || "");
+    return who === null ? null : { assignee: who.trim() || null };
+  });
+  action("Note", "", "notes", () => {
+    const text = window.prompt("Note for this alert");
+    return text ? { text } : null;
+  });
+
+  const notes = a.notes || [];
+  if (notes.length) {
+    const last = document.createElement("span");
+    last.className = "small";
+    last.textContent = `${notes.length} note${notes.length > 1 ? "s" : ""}, last: ${notes[notes.length - 1].text}`;
+    row.appendChild(last);
+  }
+  return row;
+}
+
 // ---- STATS TEXT + CHART ----
 function renderStatsText() {
   const s = state.stats;
@@ -273,18 +454,97 @@ function renderStatsText() {
     `Attack type: ${env.attackType} (${fmt(env.attackLevel, 2)})\n` +
     `Drift level: ${fmt(env.driftLevel, 2)}`;
 
-  document.getElementById("stats-text").textContent = txt;
+  const w = state.windowed;
+  const windowLine = (label, m) =>
+    `${label}: F1 ${fmt(m.f1, 3)}  P ${fmt(m.precision, 3)}  R ${fmt(m.recall, 3)}  ` +
+    `FPR ${fmt(m.fpRate, 3)}  (${m.events} labelled)\n`;
+  const windowTxt = w
+    ? `\n\nSliding windows\n` +
+      windowLine(`Last ${w.config.events} events`, w.lastEvents) +
+      windowLine(`Last ${w.config.seconds}s`, w.lastSeconds)
+    : "";
+
+  const p = state.privacy;
+  const privacyTxt = p
+    ? `\n\nDifferential privacy: ${p.enabled ? "on" : "off"} (${p.rounds} DP rounds)\n` +
+      `ε spent  : ${fmt(p.epsilon, 3)} of ${fmt(p.targetEpsilon, 2)} (δ=${p.delta})\n` +
+      `ε left   : ${fmt(p.remainingEpsilon, 3)}\n` +
+      `Acc cost : ${fmt(p.lastAccuracyCost, 4)} (last DP round)`
+    : "";
+
+  document.getElementById("stats-text").textContent = txt + windowTxt + privacyTxt;
+  renderClassMatrix();
 }
 
+function tableRow(cells, header = false) {
+  const tr = document.createElement("tr");
+  for (const c of cells) {
+    const td = document.createElement(header ? "th" : "td");
+    td.textContent = String(c);
+    tr.appendChild(td);
+  }
+  return tr;
+}
+
+function renderClassMatrix() {
+  const m = state.stats.classMatrix;
+  const per = state.stats.perClass;
+  if (!m || !per) return;
+  const classes = Object.keys(m);
+
+  const matrix = document.getElementById("class-matrix");
+  matrix.textContent = "";
+  matrix.appendChild(tableRow(["true \\ pred", ...classes], true));
+  for (const t of classes) matrix.appendChild(tableRow([t, ...classes.map((p) => m[t][p])]));
+
+  const metrics = document.getElementById("class-metrics");
+  metrics.textContent = "";
+  metrics.appendChild(tableRow(["class", "support", "precision", "recall", "F1"], true));
+  for (const c of classes) {
+    const r = per[c];
+    metrics.appendChild(tableRow([c, r.support, fmt(r.precision, 3), fmt(r.recall, 3), fmt(r.f1, 3)]));
+  }
+}
+
+// dashed vertical lines where scenario steps fired
+const scenarioMarkers = {
+  id: "scenarioMarkers",
+  afterDatasetsDraw(chart) {
+    const ts = state.timeseries;
+    const steps = state.scenario ? state.scenario.steps.filter((s) => s.firedAt) : [];
+    if (!ts || ts.t.length === 0 || steps.length === 0) return;
+
+    const { ctx, chartArea, scales } = chart;
+    ctx.save();
+    ctx.strokeStyle = "rgba(250,204,21,0.7)";
+    ctx.fillStyle = "rgba(250,204,21,0.9)";
+    ctx.font = "10px sans-serif";
+    ctx.setLineDash([4, 4]);
+    for (const step of steps) {
+      if (step.firedAt < ts.t[0] || step.firedAt > ts.t[ts.t.length - 1]) continue;
+      const i = ts.t.findIndex((t) => t >= step.firedAt);
+      const x = scales.x.getPixelForValue(i);
+      ctx.beginPath();
+      ctx.moveTo(x, chartArea.top);
+      ctx.lineTo(x, chartArea.bottom);
+      ctx.stroke();
+      ctx.fillText(scenarioStepLabel(step), x + 3, chartArea.top + 10);
+    }
+    ctx.restore();
+  }
+};
+
 function ensureChart() {
   if (state.chart) return;
   const ctx = document.getElementById("stats-chart");
   state.chart = new Chart(ctx, {
+    plugins: [scenarioMarkers],
     type: "line",
     data: {
       labels: [],
       datasets: [
         { label: "F1", data: [], tension: 0.25 },
+        { label: "F1 (window)", data: [], tension: 0.25 },
         { label: "Global acc", data: [], tension: 0.25 }
       ]
     },
@@ -306,13 +566,246 @@ function updateChart(ts) {
       "0"
     )}:${String(d.getSeconds()).padStart(2, "0")}`;
   });
+  document.getElementById("ts-resolution").textContent = state.tsResolution
+    ? `${state.tsResolution} resolution, ${ts.t.length} points`
+    : "";
 
   state.chart.data.labels = labels;
   state.chart.data.datasets[0].data = ts.f1 || [];
-  state.chart.data.datasets[1].data = ts.globalAccuracy || [];
+  state.chart.data.datasets[1].data = ts.windowF1 || [];
+  state.chart.data.datasets[2].data = ts.globalAccuracy || [];
   state.chart.update();
 }
 
+// the backend picks the resolution that fits the selected range
+async function refreshTimeseries() {
+  const params = new URLSearchParams();
+  const rangeMs = Number(document.getElementById("ts-range").value);
+  if (rangeMs) params.set("from", String(Date.now() - rangeMs));
+  const r = await apiGet(`/stats/timeseries?${params}`);
+  if (r.ok) {
+    state.timeseries = r.timeseries;
+    state.tsResolution = r.resolution;
+    ensureChart();
+    updateChart(state.timeseries);
+  }
+}
+
+// ---- ROC / PR ----
+function curveChart(canvasId, xLabel, yLabel) {
+  return new Chart(document.getElementById(canvasId), {
+    type: "scatter",
+    data: {
+      datasets: [
+        { label: `${yLabel} vs ${xLabel}`, data: [], showLine: true, pointRadius: 0 },
+        { label: "Operating point", data: [], pointRadius: 6 }
+      ]
+    },
+    options: {
+      responsive: true,
+      animation: false,
+      scales: {
+        x: { min: 0, max: 1, title: { display: true, text: xLabel } },
+        y: { min: 0, max: 1, title: { display: true, text: yLabel } }
+      }
+    }
+  });
+}
+
+function renderRoc() {
+  if (!state.rocChart) state.rocChart = curveChart("roc-chart", "FPR", "TPR");
+  if (!state.prChart) state.prChart = curveChart("pr-chart", "Recall", "Precision");
+
+  const c = state.roc;
+  if (!c) {
+    document.getElementById("roc-text").textContent = "Not enough labelled events yet.";
+    return;
+  }
+  const op = c.operatingPoint;
+  document.getElementById("roc-text").textContent =
+    `${c.n} labelled events (${c.positives} attacks)\n` +
+    `ROC-AUC ${fmt(c.rocAuc, 3)}  PR-AUC ${fmt(c.prAuc, 3)}\n` +
+    `Operating point: thr ${fmt(op.threshold, 3)} → TPR ${fmt(op.tpr, 3)}, ` +
+    `FPR ${fmt(op.fpr, 3)}, precision ${fmt(op.precision, 3)}`;
+
+  state.rocChart.data.datasets[0].data = [{ x: 0, y: 0 }, ...c.roc.map((p) => ({ x: p.fpr, y: p.tpr }))];
+  state.rocChart.data.datasets[1].data = [{ x: op.fpr, y: op.tpr }];
+  state.rocChart.update();
+  state.prChart.data.datasets[0].data = c.pr.map((p) => ({ x: p.recall, y: p.precision }));
+  state.prChart.data.datasets[1].data = [{ x: op.recall, y: op.precision }];
+  state.prChart.update();
+}
+
+// device filters on the Stats (ROC) and Live Events (export) tabs
+function renderDeviceOptions() {
+  for (const selId of ["roc-device", "export-device"]) {
+    const sel = document.getElementById(selId);
+    const current = sel.value;
+    sel.textContent = "";
+    for (const d of [{ id: "", name: "all devices" }, ...state.devices]) {
+      const o = document.createElement("option");
+      o.value = d.id;
+      o.textContent = d.name;
+      sel.appendChild(o);
+    }
+    sel.value = state.devices.some((d) => d.id === current) ? current : "";
+  }
+}
+
+async function refreshRoc() {
+  const params = new URLSearchParams();
+  const deviceId = document.getElementById("roc-device").value;
+  const windowMs = Number(document.getElementById("roc-window").value);
+  if (deviceId) params.set("deviceId", deviceId);
+  if (windowMs) params.set("from", String(Date.now() - windowMs));
+  const r = await apiGet(`/stats/roc?${params}`);
+  if (r.ok) {
+    state.roc = r.curves;
+    renderRoc();
+  }
+}
+
+// ---- EXPORTS ----
+function download(path, params) {
+  const a = document.createElement("a");
+  a.href = `${API_BASE}${path}?${params}`;
+  a.download = "";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+// filters picked on the Live Events tab
+function exportParams() {
+  const params = new URLSearchParams();
+  const deviceId = document.getElementById("export-device").value;
+  const windowMs = Number(document.getElementById("export-window").value);
+  const predicted = document.getElementById("export-predicted").value;
+  if (deviceId) params.set("deviceId", deviceId);
+  if (windowMs) params.set("from", String(Date.now() - windowMs));
+  if (predicted) params.set("predicted", predicted);
+  return params;
+}
+
+// ---- DATASET REPLAY ----
+function renderReplay(replay) {
+  const el = document.getElementById("replay-status");
+  if (!replay) {
+    el.textContent = "Synthetic traffic.";
+    return;
+  }
+  el.textContent =
+    `${replay.path}${replay.finished ? " (finished)" : ""}: ${replay.rows} rows ` +
+    `(${replay.normal} normal, ${replay.attack} attack, ${replay.unlabelled} unlabelled), ${replay.skipped} skipped`;
+}
+
+// ---- SCENARIO ----
+function scenarioStepLabel(step) {
+  if (step.action === "attack") return `${step.type}${step.intensity !== undefined ? ` ${step.intensity}` : ""}`;
+  if (step.action === "drift") return `drift → ${step.level}${step.over ? ` / ${step.over}s` : ""}`;
+  return "FL round";
+}
+
+function renderScenario() {
+  const sc = state.scenario;
+  const el = document.getElementById("scenario-status");
+  if (!sc || sc.state === "idle") {
+    el.textContent = "No scenario loaded.";
+    return;
+  }
+  const lines = [`${sc.name}: ${sc.state}, ${sc.elapsed}s / ${sc.duration}s`];
+  for (const step of sc.steps) {
+    lines.push(`  t=${step.at}s ${scenarioStepLabel(step)} — ${step.status}${step.error ? ` (${step.error})` : ""}`);
+  }
+  el.textContent = lines.join("\n");
+}
+
+// ---- DRIFT ADAPTATION LOG ----
+function renderAdaptationLog() {
+  if (state.adaptations.length === 0) return;
+  document.getElementById("adaptation-log").textContent = state.adaptations
+    .slice(0, 12)
+    .map((e) => `${e.ts} ${e.deviceName}: ${e.action} ${JSON.stringify(e.detail)}`)
+    .join("\n");
+}
+
+function renderPlaybooks(config) {
+  document.getElementById("playbooks-enabled").checked = config.enabled;
+  document.getElementById("playbooks-dry-run").checked = config.dryRun;
+  document.getElementById("playbooks-json").value = JSON.stringify(config.rules, null, 2);
+}
+
+function renderResponseLog() {
+  if (state.responses.length === 0) return;
+  document.getElementById("response-log").textContent = state.responses
+    .slice(0, 12)
+    .map((r) => `${r.ts} ${r.deviceName}: ${r.action}${r.dryRun ? " (dry run)" : ""} [${r.ruleId || "-"}] ${r.result}`)
+    .join("\n");
+}
+
+// ---- FL ROUND REPORT ----
+function renderFlReport() {
+  const r = state.lastRound;
+  if (!r) return;
+
+  const lines = [
+    `Round ${r.round} (${r.aggregator}) @ ${r.ts}`,
+    `Accuracy: ${fmt(r.accuracyBefore, 4)} -> ${fmt(r.accuracyAfter, 4)}`,
+    `Global update norm: ${fmt(r.globalUpdateNorm, 4)}`,
+    `Rejected: ${(r.rejected || []).join(", ") || "none"}`,
+    `Down-weighted: ${(r.downweighted || []).join(", ") || "none"}`,
+    "",
+    "Participants:"
+  ];
+  for (const p of r.participants) {
+    lines.push(
+      `  ${p.deviceName}${p.poisoned ? ` [${p.poisoned}]` : ""}: ${p.status} ` +
+      `n=${p.dataSize} share=${fmt(p.dataShare, 3)} w=${fmt(p.weight, 3)} ` +
+      `|Δw|=${fmt(p.updateNorm, 4)} acc=${fmt(p.localAccuracy, 3)} drift=${fmt(p.driftScore, 3)}`
+    );
+    if (p.detail) lines.push(`      ${p.detail}`);
+  }
+  for (const s of r.skipped) {
+    lines.push(`  ${s.deviceName}: skipped (${s.reason})`);
+  }
+  if (r.dp) {
+    lines.push(
+      "",
+      `DP: clip=${r.dp.clipNorm} z=${r.dp.noiseMultiplier} noise std=${fmt(r.dp.noiseStd, 4)}`,
+      `    clipped: ${r.dp.clipped.join(", ") || "none"}`,
+      `    acc without noise ${fmt(r.dp.accuracyWithoutNoise, 4)} (cost ${fmt(r.dp.accuracyCost, 4)})`,
+      `    ε=${fmt(r.dp.epsilon, 3)} δ=${r.dp.delta}`
+    );
+  }
+  if (r.secureAgg) {
+    const sa = r.secureAgg;
+    lines.push("", `Secure aggregation (${sa.keyAgreement}, ${sa.threshold}-of-n shares):`);
+    for (const c of sa.clients) {
+      lines.push(
+        `  ${c.deviceName}: server saw [${c.maskedPreview.join(", ")}, …] ` +
+        `(cos to plain ${fmt(c.cosineMaskedVsPlain, 3)})`
+      );
+    }
+    for (const d of sa.recovered) {
+      lines.push(`  ${d.deviceName}: dropped, key rebuilt from ${d.sharesUsed} shares (${d.keyMatches ? "ok" : "MISMATCH"})`);
+    }
+    lines.push(
+      sa.aborted
+        ? `  aborted: ${sa.reason}`
+        : `  aggregate matches plain FedAvg: ${sa.matchesPlain} (max diff ${Number(sa.maxAbsDiffVsPlain).toExponential(2)})`
+    );
+  }
+  if (r.backdoor) {
+    lines.push(
+      "",
+      `Backdoor trigger P(attack): ${fmt(r.backdoor.triggerAttackProbBefore, 4)} -> ` +
+      `${fmt(r.backdoor.triggerAttackProbAfter, 4)}`
+    );
+  }
+
+  document.getElementById("fl-report").textContent = lines.join("\n");
+}
+
 // ---- TABS ----
 function setupTabs() {
   const buttons = document.querySelectorAll(".tab-btn");
@@ -371,6 +864,7 @@ function handleWS({ type, payload }) {
     state.stats = payload.stats || state.stats;
     state.globalModel = payload.globalModel || state.globalModel;
     state.alerts = payload.alerts || [];
+    state.incidents = payload.incidents || [];
     state.telemetry = payload.telemetry || [];
     clamp(state.alerts, 120);
     clamp(state.telemetry, 120);
@@ -379,6 +873,8 @@ function handleWS({ type, payload }) {
     const i = state.devices.findIndex((x) => x.id === d.id);
     if (i >= 0) state.devices[i] = d;
     else state.devices.unshift(d);
+  } else if (type === "device_removed") {
+    state.devices = state.devices.filter((x) => x.id !== payload.id);
   } else if (type === "telemetry_event") {
     if (payload.event) {
       state.telemetry.unshift(payload.event);
@@ -389,8 +885,46 @@ function handleWS({ type, payload }) {
       state.alerts.unshift(payload.alert);
       clamp(state.alerts, 120);
     }
+  } else if (type === "incident_event") {
+    const i = state.incidents.findIndex((x) => x.id === payload.incident.id);
+    if (i >= 0) state.incidents[i] = payload.incident;
+    else state.incidents.unshift(payload.incident);
+    clamp(state.incidents, 50);
+  } else if (type === "alert_updated") {
+    const i = state.alerts.findIndex((x) => x.id === payload.alert.id);
+    if (i >= 0) state.alerts[i] = payload.alert;
+  } else if (type === "drift_event") {
+    const d = state.devices.find((x) => x.id === payload.deviceId);
+    if (d && payload.drift) {
+      d.driftState = payload.drift.state;
+      d.driftFeature = payload.drift.feature;
+      d.driftFiredAt = payload.drift.firedAt;
+    }
   } else if (type === "model_update") {
     if (payload.globalModel) state.globalModel = payload.globalModel;
+  } else if (type === "fl_round") {
+    if (payload.report) {
+      state.lastRound = payload.report;
+      for (const d of state.devices) {
+        if (payload.report.requested.includes(d.name)) d.flRequested = false;
+      }
+    }
+  } else if (type === "calibration_event") {
+    const d = state.devices.find((x) => x.id === payload.deviceId);
+    if (d) d.calibration = payload.calibration;
+  } else if (type === "replay_status") {
+    renderReplay(payload.replay);
+  } else if (type === "scenario_status") {
+    state.scenario = payload.scenario;
+    renderScenario();
+  } else if (type === "response_action") {
+    state.responses.unshift(payload.action);
+    clamp(state.responses, 50);
+  } else if (type === "adaptation_event") {
+    if (payload.event) {
+      state.adaptations.unshift(payload.event);
+      clamp(state.adaptations, 50);
+    }
   }
 
   // Whenever WS data arrives, refresh UI
@@ -398,7 +932,11 @@ function handleWS({ type, payload }) {
   renderKpiAndEnv();
   renderDevicesTables();
   renderStreams();
+  renderIncidents();
   renderStatsText();
+  renderFlReport();
+  renderAdaptationLog();
+  renderResponseLog();
 }
 
 // ---- POLLING STATS FROM HTTP ----
@@ -409,18 +947,16 @@ async function pollStats() {
       state.environment = over.environment;
       state.stats = over.stats;
       state.globalModel = over.globalModel;
+      state.privacy = over.privacy || null;
+      state.windowed = over.windowed || null;
       renderBadges();
       renderKpiAndEnv();
       renderStatsText();
       renderDevicesTables();
     }
 
-    const ts = await apiGet("/stats/timeseries");
-    if (ts.ok) {
-      state.timeseries = ts.timeseries;
-      ensureChart();
-      updateChart(state.timeseries);
-    }
+    await refreshTimeseries();
+    await refreshRoc();
   } catch (e) {
     console.error("pollStats error", e);
   }
@@ -431,6 +967,7 @@ async function refreshDevices() {
   if (d.ok) {
     state.devices = d.devices || [];
     renderDevicesTables();
+    renderDeviceOptions();
     renderKpiAndEnv();
     renderBadges();
   }
@@ -443,6 +980,18 @@ function setupControls() {
     await apiPost("/sim/start", { intervalMs: 700 });
     await pollStats();
   };
+  document.getElementById("btn-replay-start").onclick = async () => {
+    const r = await apiPost("/sim/start", {
+      intervalMs: 700,
+      replay: {
+        path: document.getElementById("replay-path").value.trim(),
+        preset: document.getElementById("replay-preset").value,
+        rowsPerTick: Number(document.getElementById("replay-rows").value)
+      }
+    });
+    if (!r.ok) document.getElementById("replay-status").textContent = "Replay rejected: check the file name and preset.";
+    await pollStats();
+  };
   document.getElementById("btn-sim-stop").onclick = async () => {
     await apiPost("/sim/stop", {});
     await pollStats();
@@ -480,12 +1029,131 @@ function setupControls() {
     await pollStats();
   };
 
+  // scenario timeline
+  document.getElementById("btn-scenario-run").onclick = async () => {
+    let scenario;
+    try {
+      scenario = JSON.parse(document.getElementById("scenario-json").value);
+    } catch (e) {
+      document.getElementById("scenario-status").textContent = `Invalid JSON: ${e.message}`;
+      return;
+    }
+    const r = await apiPost("/sim/scenario", scenario);
+    if (!r.ok) {
+      document.getElementById("scenario-status").textContent =
+        "Scenario rejected: check the steps, or abort the running scenario first.";
+      return;
+    }
+    state.scenario = r.scenario;
+    renderScenario();
+  };
+  for (const action of ["pause", "resume", "abort"]) {
+    document.getElementById(`btn-scenario-${action}`).onclick = async () => {
+      const r = await apiPost(`/sim/scenario/${action}`, {});
+      if (r.ok) {
+        state.scenario = r.scenario;
+        renderScenario();
+      }
+    };
+  }
+
   // FL round
   document.getElementById("btn-fl-round").onclick = async () => {
-    await apiPost("/fl/round", {});
+    const aggregator = document.getElementById("fl-aggregator").value;
+    const r = await apiPost("/fl/round", { aggregator });
+    if (r.ok && r.report) {
+      state.lastRound = r.report;
+      renderFlReport();
+    } else {
+      document.getElementById("fl-report").textContent =
+        "Round refused (privacy budget exhausted, or aggregator not allowed with DP / secure aggregation).";
+    }
+    await pollStats();
+  };
+
+  document.getElementById("btn-apply-secagg").onclick = async () => {
+    await apiPost("/fl/config", {
+      secureAgg: {
+        enabled: document.getElementById("secagg-enabled").checked,
+        dropoutRate: Number(document.getElementById("secagg-dropout").value)
+      }
+    });
+  };
+
+  document.getElementById("btn-apply-dp").onclick = async () => {
+    await apiPost("/fl/config", {
+      dp: {
+        enabled: document.getElementById("dp-enabled").checked,
+        clipNorm: Number(document.getElementById("dp-clip").value),
+        noiseMultiplier: Number(document.getElementById("dp-noise").value),
+        targetEpsilon: Number(document.getElementById("dp-budget").value)
+      }
+    });
     await pollStats();
   };
 
+  document.getElementById("btn-apply-adaptation").onclick = async () => {
+    await apiPost("/adaptation/config", {
+      rebaseline: document.getElementById("adapt-rebaseline").checked,
+      retrain: document.getElementById("adapt-retrain").checked,
+      requestFl: document.getElementById("adapt-request-fl").checked
+    });
+  };
+
+  document.getElementById("btn-apply-playbooks").onclick = async () => {
+    const body = {
+      enabled: document.getElementById("playbooks-enabled").checked,
+      dryRun: document.getElementById("playbooks-dry-run").checked
+    };
+    try {
+      body.rules = JSON.parse(document.getElementById("playbooks-json").value);
+    } catch (e) {
+      document.getElementById("response-log").textContent = `Invalid JSON: ${e.message}`;
+      return;
+    }
+    const r = await apiPost("/playbooks", body);
+    if (!r.ok) {
+      document.getElementById("response-log").textContent = "Rules rejected: check conditions and actions.";
+      return;
+    }
+    renderPlaybooks(r.config);
+  };
+
+  document.getElementById("btn-apply-calibration").onclick = async () => {
+    const r = await apiPost("/calibration/config", {
+      enabled: document.getElementById("calib-enabled").checked,
+      targetFpr: Number(document.getElementById("calib-target").value)
+    });
+    if (r.ok) state.calibration = r.config;
+    await refreshDevices();
+  };
+
+  document.getElementById("btn-apply-window").onclick = async () => {
+    await apiPost("/stats/window", {
+      events: Number(document.getElementById("window-events").value),
+      seconds: Number(document.getElementById("window-seconds").value)
+    });
+    await pollStats();
+  };
+
+  document.getElementById("roc-device").onchange = refreshRoc;
+  document.getElementById("roc-window").onchange = refreshRoc;
+  document.getElementById("ts-range").onchange = refreshTimeseries;
+
+  // exports
+  document.getElementById("btn-export-telemetry").onclick = () => download("/export/telemetry.csv", exportParams());
+  document.getElementById("btn-export-alerts").onclick = () => {
+    const params = exportParams();
+    params.delete("predicted"); // telemetry-only filter
+    download("/export/alerts.ndjson", params);
+  };
+  document.getElementById("btn-export-metrics").onclick = () => {
+    const params = new URLSearchParams();
+    const rangeMs = Number(document.getElementById("ts-range").value);
+    if (rangeMs) params.set("from", String(Date.now() - rangeMs));
+    download("/export/metrics.csv", params);
+  };
+
   // refresh devices list
   document.getElementById("btn-refresh-devices").onclick = async () => {
     await refreshDevices();
@@ -501,10 +1169,42 @@ async function boot() {
   await refreshDevices();
   await pollStats();
 
+  const adapt = await apiGet("/adaptation/config");
+  if (adapt.ok) {
+    document.getElementById("adapt-rebaseline").checked = adapt.policy.rebaseline;
+    document.getElementById("adapt-retrain").checked = adapt.policy.retrain;
+    document.getElementById("adapt-request-fl").checked = adapt.policy.requestFl;
+  }
+  const win = await apiGet("/stats/window");
+  if (win.ok) {
+    document.getElementById("window-events").value = win.config.events;
+    document.getElementById("window-seconds").value = win.config.seconds;
+  }
+  const calib = await apiGet("/calibration/config");
+  if (calib.ok) {
+    state.calibration = calib.config;
+    document.getElementById("calib-enabled").checked = calib.config.enabled;
+    document.getElementById("calib-target").value = calib.config.targetFpr;
+  }
+  const replay = await apiGet("/sim/replay");
+  if (replay.ok) renderReplay(replay.replay);
+  const scenario = await apiGet("/sim/scenario");
+  if (scenario.ok) state.scenario = scenario.scenario;
+  renderScenario();
+  const adaptLog = await apiGet("/adaptation/events");
+  if (adaptLog.ok) state.adaptations = adaptLog.events.slice(0, 50);
+  renderAdaptationLog();
+  const playbooks = await apiGet("/playbooks");
+  if (playbooks.ok) renderPlaybooks(playbooks.config);
+  const responses = await apiGet("/playbooks/actions");
+  if (responses.ok) state.responses = responses.actions.slice(0, 50);
+  renderResponseLog();
+
   renderBadges();
   renderKpiAndEnv();
   renderDevicesTables();
   renderStreams();
+  renderIncidents();
   renderStatsText();
   ensureChart();
   if (state.timeseries) updateChart(state.timeseries);